@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+// Command-line client for playing and scripting games. It talks to a running
+// server over the same REST routes the browser client uses. With --json every
+// command prints one JSON object per line instead of text, for automation.
+
+const readline = require('readline');
+
+const USAGE = `Usage: anagrams <command> [options]
+
+Commands:
+  play [code]          Create a game (or join one by code) and play it here
+  create               Create a game and print its session
+  join <code>          Join a game and print the session
+  start <code>         Start the game (host only)
+  words <code>         Submit words read from stdin, one per line
+  leaderboard <code>   Print the standings
+
+Options:
+  --server <url>       Server to use (default $ANAGRAMS_SERVER or http://localhost:3000)
+  --name <name>        Player name for play, create and join
+  --token <token>      Session token for start, words and leaderboard
+                       (default $ANAGRAMS_TOKEN)
+  --rounds <n>         Rounds to play, when creating
+  --duration <secs>    Round length, when creating
+  --wait               leaderboard: wait until the game is finished
+  --json               Print JSON lines instead of text`;
+
+// Options that take a value; anything else starting with -- is a flag
+const VALUE_OPTIONS = ['server', 'name', 'token', 'rounds', 'duration'];
+
+// How often the game is polled while playing
+const POLL_INTERVAL_MS = 1000;
+
+// An error response from the server
+class ApiError extends Error {
+  constructor(status, error) {
+    super(error.message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = error.code;
+    this.error = error;
+  }
+}
+
+// Split argv into the command, its positional arguments and options
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (i + 1 >= argv.length) throw new Error(`--${name} needs a value`);
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+// A client for one server. Every call resolves to the response body or
+// rejects with an ApiError carrying the server's error code.
+function createClient(server) {
+  const base = server.replace(/\/+$/, '') + '/api';
+
+  async function request(method, path, { body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+
+    const response = await fetch(base + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new ApiError(response.status, data.error);
+    return data;
+  }
+
+  return {
+    createGame: (playerName) => request('POST', '/games', { body: { playerName } }),
+    joinGame: (code, playerName) => request('POST', `/games/${code}/join`, { body: { playerName } }),
+    updateSettings: (code, token, settings) => request('PUT', `/games/${code}/settings`, { body: settings, token }),
+    startGame: (code, token) => request('POST', `/games/${code}/start`, { token }),
+    nextRound: (code, token) => request('POST', `/games/${code}/next-round`, { token }),
+    submitWord: (code, token, word) => request('POST', `/games/${code}/words`, { body: { word }, token }),
+    getGame: (code, token) => request('GET', `/games/${code}`, { token })
+  };
+}
+
+// Prints either text for people or JSON lines for scripts. Each event has a
+// type and data; text is what a person sees, and is left out in JSON mode.
+function createOutput(json) {
+  return {
+    json,
+    event(type, data, text) {
+      if (json) {
+        console.log(JSON.stringify({ event: type, ...data }));
+      } else if (text) {
+        console.log(text);
+      }
+    },
+    error(err) {
+      if (json) {
+        const error = err instanceof ApiError ? err.error : { code: 'CLIENT_ERROR', message: err.message };
+        console.log(JSON.stringify({ event: 'error', error }));
+      } else {
+        console.error(`Error: ${err.message}`);
+      }
+    }
+  };
+}
+
+function spaced(letters) {
+  return letters.split('').join(' ');
+}
+
+// Final or running totals, best first
+function standings(game) {
+  return Object.values(game.players)
+    .map(player => ({ name: player.name, score: player.totalScore, team: player.team }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function formatStandings(rows) {
+  return rows.map((row, index) => {
+    const team = row.team ? ` (team ${row.team})` : '';
+    return `${String(index + 1).padStart(2)}. ${row.name}${team}  ${row.score}`;
+  }).join('\n');
+}
+
+// This round's scores from the round history
+function roundStandings(game, roundResult) {
+  return Object.entries(roundResult.scores)
+    .map(([id, result]) => ({
+      name: game.players[id] ? game.players[id].name : 'Unknown',
+      score: result.score,
+      words: result.words.map(({ word }) => word)
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function requireArg(value, what) {
+  if (!value) throw new Error(`Missing ${what}\n\n${USAGE}`);
+  return value;
+}
+
+function requireToken(options) {
+  return requireArg(options.token || process.env.ANAGRAMS_TOKEN, 'session token (--token or $ANAGRAMS_TOKEN)');
+}
+
+function sessionEvent(out, type, code, session) {
+  out.event(type, {
+    gameCode: code,
+    playerId: session.playerId,
+    sessionToken: session.sessionToken
+  }, `Game ${code}\nSession token: ${session.sessionToken}`);
+}
+
+// Settings given on the command line, as the settings route expects them.
+// Checked before anything is created, so a typo doesn't leave a game behind.
+function settingsFrom(options) {
+  const settings = {};
+  ['rounds', 'duration'].forEach(name => {
+    if (options[name] === undefined) return;
+    if (!/^\d+$/.test(options[name])) throw new Error(`--${name} must be a whole number\n\n${USAGE}`);
+    settings[name] = parseInt(options[name], 10);
+  });
+  return settings;
+}
+
+async function createCommand(client, out, args, options) {
+  const name = requireArg(options.name, 'player name (--name)');
+  const settings = settingsFrom(options);
+  const session = await client.createGame(name);
+  if (Object.keys(settings).length > 0) {
+    await client.updateSettings(session.gameCode, session.sessionToken, settings);
+  }
+  sessionEvent(out, 'created', session.gameCode, session);
+}
+
+async function joinCommand(client, out, args, options) {
+  const code = requireArg(args[0], 'game code').toUpperCase();
+  const session = await client.joinGame(code, requireArg(options.name, 'player name (--name)'));
+  sessionEvent(out, 'joined', code, session);
+}
+
+async function startCommand(client, out, args, options) {
+  const code = requireArg(args[0], 'game code').toUpperCase();
+  const game = await client.startGame(code, requireToken(options));
+  out.event('started', {
+    gameCode: code,
+    letters: game.letters,
+    round: game.round,
+    duration: game.settings.duration
+  }, `Round ${game.round} started: ${spaced(game.letters)}`);
+}
+
+// Report one submission. Rejected words are part of the game, not failures,
+// and a rate-limited word is sent again once the server allows it.
+async function submit(client, out, code, token, word) {
+  try {
+    const result = await client.submitWord(code, token, word);
+    out.event('word', { word, valid: true, points: result.points }, `  ${result.word} +${result.points}`);
+  } catch (err) {
+    if (err instanceof ApiError && err.code === 'RATE_LIMITED') {
+      await sleep(err.error.retryAfter * 1000);
+      return submit(client, out, code, token, word);
+    }
+    if (!(err instanceof ApiError) || err.status !== 422) throw err;
+    out.event('word', { word, valid: false, error: err.error }, `  ${word.toUpperCase()}: ${err.message}`);
+  }
+}
+
+// Submit each line of stdin as a word, in order, until stdin ends
+async function wordsCommand(client, out, args, options) {
+  const code = requireArg(args[0], 'game code').toUpperCase();
+  const token = requireToken(options);
+
+  const rl = readline.createInterface({ input: process.stdin });
+  for await (const line of rl) {
+    const word = line.trim();
+    if (word) await submit(client, out, code, token, word);
+  }
+}
+
+async function leaderboardCommand(client, out, args, options) {
+  const code = requireArg(args[0], 'game code').toUpperCase();
+  const token = requireToken(options);
+
+  let game = await client.getGame(code, token);
+  while (options.wait && game.status !== 'finished') {
+    await sleep(POLL_INTERVAL_MS);
+    game = await client.getGame(code, token);
+  }
+
+  const rows = standings(game);
+  out.event('leaderboard', { gameCode: code, status: game.status, players: rows }, formatStandings(rows));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Play a whole game in the terminal. Lines typed during a round are
+// submitted as words; the host presses Enter to start each round. The game
+// is polled for the status, and the final leaderboard ends the session.
+async function playCommand(client, out, args, options) {
+  const name = requireArg(options.name, 'player name (--name)');
+  let code = args[0] && args[0].toUpperCase();
+  const settings = settingsFrom(options);
+  let session;
+
+  if (code) {
+    session = await client.joinGame(code, name);
+    sessionEvent(out, 'joined', code, session);
+  } else {
+    session = await client.createGame(name);
+    code = session.gameCode;
+    if (Object.keys(settings).length > 0) await client.updateSettings(code, session.sessionToken, settings);
+    sessionEvent(out, 'created', code, session);
+  }
+
+  const token = session.sessionToken;
+  let game = await client.getGame(code, token);
+  const isHost = game.hostId === session.playerId;
+  let shown = null;
+
+  function prompt() {
+    if (!isHost) return;
+    if (game.status === 'waiting') out.event('prompt', {}, 'Press Enter to start the game');
+    if (game.status === 'intermission') out.event('prompt', {}, 'Press Enter to start the next round');
+  }
+
+  // Tell the player about each status change once
+  function show() {
+    const key = `${game.status}:${game.round}`;
+    if (key === shown) return;
+    shown = key;
+
+    if (game.status === 'waiting') {
+      out.event('lobby', { gameCode: code, host: isHost }, isHost ? `Share the code ${code} with the other players` : 'Waiting for the host to start...');
+    } else if (game.status === 'active') {
+      const { duration, rounds } = game.settings;
+      out.event('round', { round: game.round, rounds, letters: game.letters, duration },
+        `\nRound ${game.round}/${rounds}: ${spaced(game.letters)}  (${duration}s)\nType words and press Enter:`);
+    } else {
+      const roundResult = game.roundHistory[game.roundHistory.length - 1];
+      const rows = roundStandings(game, roundResult);
+      out.event('round-end', { round: roundResult.round, players: rows },
+        `\nRound ${roundResult.round} results\n${formatStandings(rows)}`);
+    }
+    prompt();
+  }
+
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', line => {
+    const text = line.trim();
+    let action = null;
+
+    if (game.status === 'active' && text) {
+      action = submit(client, out, code, token, text);
+    } else if (isHost && game.status === 'waiting') {
+      action = client.startGame(code, token);
+    } else if (isHost && game.status === 'intermission') {
+      action = client.nextRound(code, token);
+    }
+    if (action) action.catch(err => out.error(err));
+  });
+
+  try {
+    show();
+    while (game.status !== 'finished') {
+      await sleep(POLL_INTERVAL_MS);
+      game = await client.getGame(code, token);
+      show();
+    }
+  } finally {
+    rl.close();
+  }
+
+  const rows = standings(game);
+  out.event('leaderboard', { gameCode: code, status: game.status, players: rows }, `\nFinal standings\n${formatStandings(rows)}`);
+}
+
+const COMMANDS = {
+  play: playCommand,
+  create: createCommand,
+  join: joinCommand,
+  start: startCommand,
+  words: wordsCommand,
+  leaderboard: leaderboardCommand
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const { command, args, options } = parsed;
+  if (!command || options.help || !COMMANDS[command]) {
+    console.log(USAGE);
+    return command && !options.help ? 2 : 0;
+  }
+
+  const out = createOutput(Boolean(options.json));
+  const client = createClient(options.server || process.env.ANAGRAMS_SERVER || 'http://localhost:3000');
+
+  try {
+    await COMMANDS[command](client, out, args, options);
+    return 0;
+  } catch (err) {
+    out.error(err);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,843 @@
+const engine = require('./engine');
+const { StorageConflictError } = require('./storage');
+const { DICTIONARIES } = require('./dictionaries');
+const { fields, validate } = require('./validation');
+const profiles = require('./profiles');
+const archive = require('./archive');
+
+// Route handlers shared by both backends. Each handler gets the path params,
+// parsed body (the query string for GET routes) and the caller's session
+// token (sent as a Bearer token), and resolves to { status, body }. A string
+// body is sent as-is with the response's Content-Type header, anything else
+// as JSON; the adapters only deal with HTTP plumbing and where games are
+// stored. Errors always come back as { error: { code, message, ...details } }.
+// Games only leave through engine.toPublicGame (as seen by the requesting
+// player) or engine.toSpectatorGame, so every backend hides the same things.
+
+function ok(body) {
+  return { status: 200, body };
+}
+
+function errorResponse(status, code, message, details = {}) {
+  return { status, body: { error: { code, message, ...details } } };
+}
+
+function notFound() {
+  return errorResponse(404, 'GAME_NOT_FOUND', 'Game not found');
+}
+
+// Request schemas, see ./validation
+const codeParams = { code: fields.gameCode };
+
+const settingsSchema = { ...optionalIntegers(engine.SETTING_LIMITS) };
+settingsSchema.scoring = { type: 'string', optional: true, values: Object.keys(engine.SCORING_PRESETS) };
+settingsSchema.difficulty = { type: 'string', optional: true, values: Object.keys(engine.DIFFICULTY_TIERS) };
+settingsSchema.dictionary = { type: 'string', optional: true, values: Object.keys(DICTIONARIES) };
+settingsSchema.spectatorWords = { type: 'string', optional: true, values: engine.SPECTATOR_WORDS };
+settingsSchema.sharedWords = { type: 'string', optional: true, values: Object.keys(engine.SHARED_WORD_RULES) };
+
+function optionalIntegers(limits) {
+  const schema = {};
+  Object.entries(limits).forEach(([key, [min, max]]) => {
+    schema[key] = { type: 'integer', optional: true, min, max };
+  });
+  return schema;
+}
+
+const MAX_CREATE_ATTEMPTS = 5;
+
+// Most finished daily attempts one leaderboard read copies into the summary
+const MAX_DAILY_RECORDS = 25;
+
+// storage: a backend from ./storage for games
+// profileStorage: optional backend for player profiles; without one, profile
+// routes answer 404 and finished games don't count towards stats
+// archiveStorage: optional backend for finished games; without one the
+// archive is always empty
+// dictionaries: a registry from ./dictionaries
+// events: optional bus from ./events; when given, state changes are pushed to
+// subscribers and rounds are finished on a timer instead of on the next poll
+// limiter: optional rate limiter from ./limits, whose check() and hit() may
+// return promises; without one nothing is limited
+function createApi({
+  storage,
+  profileStorage = null,
+  archiveStorage = null,
+  dictionaries,
+  events = null,
+  limiter = null,
+  roundDuration = engine.getRoundDuration()
+}) {
+  // The bus carries whole records; each subscriber projects what it may see
+  function publish(code, type, game) {
+    if (events) events.publish(code, type, game);
+  }
+
+  // Announce the end of a round: 'finish' after the last round, 'round-end'
+  // before an intermission. A finished game is archived into its players'
+  // profiles straight away.
+  async function roundEnded(code, game) {
+    publish(code, game.status === 'finished' ? 'finish' : 'round-end', game);
+    if (game.status !== 'finished') return;
+
+    try {
+      await archiveGame(code, game);
+    } catch (err) {
+      console.error(`Error archiving game ${code}:`, err.message);
+    }
+  }
+
+  // Keep a finished game in the archive and count it towards its players'
+  // profiles, once. The archive write only creates and profiles skip games
+  // they have already counted, so retrying after a failure is safe. game is
+  // the record as the caller last saw it, so nothing is lost to a stale read.
+  // Resolves to true if the game was archived by this call. Games saved
+  // before rounds were recorded have nothing to replay or count, so they are
+  // only marked as archived.
+  async function archiveGame(code, game) {
+    if (!game || game.status !== 'finished' || game.archived) return false;
+
+    const recorded = Array.isArray(game.roundHistory);
+    if (archiveStorage && recorded) {
+      const record = archive.toArchiveRecord(game);
+      await archiveStorage.create(code, record);
+      await indexArchivedGame(record);
+    }
+    if (profileStorage && recorded) {
+      for (const [key, result] of Object.entries(profiles.gameResults(game))) {
+        await profileStorage.update(key, profile => {
+          profiles.applyGameResult(profile, game.gameCode, result);
+        });
+      }
+    }
+    await storage.update(code, g => {
+      g.archived = true;
+    });
+    return true;
+  }
+
+  // Add an archived game to the search index, making the index on first use
+  async function indexArchivedGame(record) {
+    const summary = archive.toSummary(record);
+    const add = index => archive.addToIndex(index, summary);
+
+    if (await archiveStorage.update(archive.INDEX_KEY, add)) return;
+
+    const index = archive.createIndex();
+    add(index);
+    if (!(await archiveStorage.create(archive.INDEX_KEY, index))) {
+      await archiveStorage.update(archive.INDEX_KEY, add);
+    }
+  }
+
+  // The profile a token belongs to, as its storage key; null without a token
+  async function resolveProfile(token) {
+    if (!token) return null;
+
+    const key = profiles.profileKey(token);
+    if (!profileStorage || !(await profileStorage.get(key))) {
+      throw new engine.GameError(401, 'INVALID_PROFILE', 'Unknown profile token');
+    }
+    return key;
+  }
+
+  // Let bots make the moves that are due, then end the round if its time is
+  // up. Every route that loads a game does this first, so bots keep playing
+  // on backends without timers as long as someone is polling.
+  function advance(game) {
+    const botsPlayed = engine.playBotMoves(game, dictionaries);
+    const roundEnded = engine.endRoundIfExpired(game, dictionaries);
+    return { botsPlayed, roundEnded };
+  }
+
+  // Publish whatever advance changed
+  async function announce(code, record, { botsPlayed, roundEnded: ended }) {
+    if (botsPlayed) publish(code, 'word', record);
+    if (ended) await roundEnded(code, record);
+  }
+
+  // End the round when its time is up, even if nobody asks for the game
+  function scheduleRoundEnd(code, game) {
+    if (!events) return;
+
+    const delay = engine.roundCloseTime(game, game.startTime) - Date.now();
+    setTimeout(async () => {
+      try {
+        const updated = await storage.update(code, advance);
+        if (updated) await announce(code, updated.record, updated.result);
+      } catch (err) {
+        console.error(`Error ending round of game ${code}:`, err.message);
+      }
+    }, Math.max(0, delay)).unref();
+  }
+
+  // Play each bot move when it is due, even if nobody asks for the game. Stops
+  // when the round it was scheduled for is over.
+  function scheduleBotMoves(code, game) {
+    const next = engine.nextBotMoveTime(game);
+    if (!events || next === null) return;
+
+    setTimeout(async () => {
+      try {
+        const updated = await storage.update(code, g => g.round === game.round && engine.playBotMoves(g, dictionaries));
+        if (!updated) return;
+        if (updated.result) publish(code, 'word', updated.record);
+        if (updated.record.round === game.round) scheduleBotMoves(code, updated.record);
+      } catch (err) {
+        console.error(`Error playing bots in game ${code}:`, err.message);
+      }
+    }, Math.max(0, next - Date.now())).unref();
+  }
+
+  // Change a player's presence and tell the room when it flips
+  async function updatePresence(code, mutator) {
+    try {
+      const updated = await storage.update(code, mutator);
+      if (updated && updated.result) publish(code, 'presence', updated.record);
+    } catch (err) {
+      console.error(`Error updating presence in game ${code}:`, err.message);
+    }
+  }
+
+  // Authenticate the caller, catch the game up and note that they are still
+  // around. Shared by the routes that (re)load the whole game.
+  function loadAsPlayer(game, token) {
+    const playerId = engine.authenticate(game, token);
+    const advanced = advance(game);
+    const returned = engine.markSeen(game, playerId);
+    return { playerId, ...advanced, returned };
+  }
+
+  // Publish whatever loadAsPlayer changed
+  async function publishLoad(code, updated) {
+    if (updated.result.returned) publish(code, 'presence', updated.record);
+    await announce(code, updated.record, updated.result);
+  }
+
+  // API: Create new game, joining the creator as its host
+  async function createGame(params, body, token) {
+    const profileKey = await resolveProfile(body.profileToken);
+
+    // Retry on the off chance the random code is already taken
+    for (let attempt = 0; attempt < MAX_CREATE_ATTEMPTS; attempt++) {
+      const game = engine.createGame(dictionaries, { duration: roundDuration });
+      const { playerId, sessionToken } = engine.joinGame(game, body.playerName, profileKey);
+
+      if (await storage.create(game.gameCode, game)) {
+        return ok({
+          gameCode: game.gameCode,
+          letters: game.letters,
+          playerId,
+          sessionToken,
+          game: engine.toPublicGame(game, playerId)
+        });
+      }
+    }
+    throw new Error('Could not allocate a free game code');
+  }
+
+  // Today's daily puzzle, created by whoever asks first. Racing creators deal
+  // the same seeded rack, so the loser can read the winner's.
+  async function loadDaily() {
+    const date = engine.todayUTC();
+    const code = engine.dailyCode(date);
+
+    const existing = await storage.get(code);
+    if (existing) return existing;
+
+    const puzzle = engine.createDailyGame(dictionaries, date);
+    if (await storage.create(code, puzzle)) return puzzle;
+    return storage.get(code);
+  }
+
+  // Copy attempts into their puzzle's summary in one write. A failure only
+  // delays the leaderboard until the next time it is read.
+  async function recordDailyAttempts(code, attempts) {
+    if (attempts.length === 0) return null;
+    try {
+      const updated = await storage.update(code, puzzle => {
+        attempts.forEach(attempt => engine.recordDailyAttempt(puzzle, attempt));
+      });
+      return updated && updated.record;
+    } catch (err) {
+      console.error(`Error recording attempts at ${code}:`, err.message);
+      return null;
+    }
+  }
+
+  // API: Today's daily puzzle and its leaderboard. With an attempt code and
+  // its session, also the caller's own standing.
+  async function getDaily(params, query, token) {
+    let puzzle = await loadDaily();
+
+    let own = null;
+    if (query.attempt) {
+      own = await storage.get(query.attempt);
+      if (!own || own.mode !== 'daily' || own.date !== puzzle.date) return notFound();
+      engine.authenticate(own, token);
+    }
+
+    // Attempts that have run out since anyone last looked count from now
+    const due = engine.dueDailyAttempts(puzzle).slice(0, MAX_DAILY_RECORDS);
+    const attempts = (await Promise.all(due.map(code => storage.get(code)))).filter(Boolean);
+    if (own) attempts.push(own);
+    puzzle = (await recordDailyAttempts(puzzle.gameCode, attempts)) || puzzle;
+
+    const entry = own && puzzle.attempts[own.gameCode];
+    return ok({
+      gameCode: puzzle.gameCode,
+      date: puzzle.date,
+      letters: puzzle.letters,
+      settings: puzzle.settings,
+      leaderboard: engine.dailyLeaderboard(puzzle),
+      you: entry ? { name: entry.name, score: entry.score, wordCount: entry.wordCount } : null
+    });
+  }
+
+  // API: Start an attempt at a daily puzzle. Each profile, or each name for
+  // players without one, gets one attempt a day.
+  async function joinDaily(code, body) {
+    const profileKey = await resolveProfile(body.profileToken);
+    const puzzle = await storage.get(code);
+    if (!puzzle) return notFound();
+
+    const identity = profileKey ? `profile:${profileKey}` : `name:${body.playerName.toLowerCase()}`;
+    const attempt = engine.createDailyAttempt(puzzle, engine.dailyAttemptCode(puzzle.date, identity));
+    const { playerId, sessionToken } = engine.joinGame(attempt, body.playerName, profileKey);
+
+    if (!(await storage.create(attempt.gameCode, attempt))) {
+      if (profileKey) {
+        throw new engine.GameError(409, 'DAILY_ALREADY_PLAYED', 'This profile has already played today\'s puzzle');
+      }
+      throw new engine.GameError(409, 'DAILY_NAME_TAKEN', 'That name has already played today\'s puzzle');
+    }
+    await recordDailyAttempts(code, [attempt]);
+
+    return ok({ playerId, sessionToken, game: engine.toPublicGame(attempt, playerId) });
+  }
+
+  // API: Watch a game without playing, in any status. With their session
+  // the host opens a screen for the room, the only kind shown live words.
+  async function spectate({ code }, body, token) {
+    const updated = await storage.update(code, game => {
+      if (token) engine.requireHost(game, engine.authenticate(game, token));
+      return engine.spectateGame(game, Boolean(token));
+    });
+    if (!updated) return notFound();
+    const { spectatorToken } = updated.result;
+    return ok({ spectatorToken, game: engine.toSpectatorGame(updated.record, spectatorToken) });
+  }
+
+  // API: The game as spectators see it
+  async function getSpectatorView({ code }, body, token) {
+    const updated = await storage.update(code, game => {
+      engine.authenticateSpectator(game, token);
+      return advance(game);
+    });
+    if (!updated) return notFound();
+    await announce(code, updated.record, updated.result);
+    return ok(engine.toSpectatorGame(updated.record, token));
+  }
+
+  // API: Make a profile. The token is only ever shown here; the browser keeps
+  // it and sends it when joining games and to read the profile back.
+  async function createProfile(params, body) {
+    if (!profileStorage) return errorResponse(404, 'NOT_FOUND', 'Profiles are not enabled');
+
+    const profileToken = profiles.generateProfileToken();
+    const profile = profiles.createProfile(body.name);
+    await profileStorage.create(profiles.profileKey(profileToken), profile);
+    return ok({ profileToken, profile: profiles.toPublicProfile(profile) });
+  }
+
+  // API: The caller's profile and all-time stats
+  async function getProfile(params, body, token) {
+    if (!token) throw new engine.GameError(401, 'INVALID_PROFILE', 'Profile token required');
+    const key = await resolveProfile(token);
+    return ok(profiles.toPublicProfile(await profileStorage.get(key)));
+  }
+
+  // API: Search recently finished games by player name or game code, newest
+  // first
+  async function searchArchive(params, query) {
+    const index = archiveStorage && await archiveStorage.get(archive.INDEX_KEY);
+    if (!index) return ok({ games: [] });
+
+    const games = index.games.filter(summary => archive.matchesSearch(summary, query.q));
+    return ok({ games: games.slice(0, archive.MAX_SEARCH_RESULTS) });
+  }
+
+  // API: A finished game with its event log, for replays
+  async function getArchivedGame({ code }) {
+    const record = archiveStorage && await archiveStorage.get(code);
+    if (!record) return notFound();
+    return ok(record);
+  }
+
+  // API: A finished game's event log as JSON (the default) or CSV
+  async function exportLog({ code }, query) {
+    const record = archiveStorage && await archiveStorage.get(code);
+    if (!record) return notFound();
+
+    if (query.format === 'csv') {
+      return {
+        status: 200,
+        body: archive.logToCsv(record),
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${code}-log.csv"`
+        }
+      };
+    }
+    return ok({ gameCode: code, events: archive.logEntries(record) });
+  }
+
+  // API: Word lists a room can choose from
+  async function listDictionaries() {
+    return ok({ dictionaries: dictionaries.list() });
+  }
+
+  // API: Get game state
+  async function getGame({ code }, body, token) {
+    const updated = await storage.update(code, game => loadAsPlayer(game, token));
+    if (!updated) return notFound();
+    await publishLoad(code, updated);
+    return ok(engine.toPublicGame(updated.record, updated.result.playerId));
+  }
+
+  // API: Pick a session back up after a refresh or dropped connection. Works
+  // in any status, unlike joining.
+  async function rejoinGame({ code }, body, token) {
+    const updated = await storage.update(code, game => loadAsPlayer(game, token));
+    if (!updated) return notFound();
+    await publishLoad(code, updated);
+    const { playerId } = updated.result;
+    return ok({ playerId, game: engine.toPublicGame(updated.record, playerId) });
+  }
+
+  // API: Join game
+  async function joinGame({ code }, body, token) {
+    if (engine.isDailyCode(code)) return joinDaily(code, body);
+
+    const profileKey = await resolveProfile(body.profileToken);
+    const updated = await storage.update(code, game => engine.joinGame(game, body.playerName, profileKey));
+    if (!updated) return notFound();
+    publish(code, 'lobby', updated.record);
+
+    const { playerId, sessionToken } = updated.result;
+    return ok({ playerId, sessionToken, game: engine.toPublicGame(updated.record, playerId) });
+  }
+
+  // Run a player's action on the game, after catching it up so the action
+  // sees the real status. Resolves to the updated record, the acting player's
+  // id and the action's result, or null if the game does not exist.
+  async function actAsPlayer(code, token, action) {
+    const updated = await storage.update(code, game => {
+      const playerId = engine.authenticate(game, token);
+      const advanced = advance(game);
+      return { playerId, ...advanced, result: action(game, playerId, advanced.roundEnded) };
+    });
+    if (!updated) return null;
+    await announce(code, updated.record, updated.result);
+    return { record: updated.record, ...updated.result };
+  }
+
+  // Run a change to the player's words. A change that arrives after the round
+  // closed still ends the round, then is turned away.
+  async function changeWords(code, token, change) {
+    const acted = await actAsPlayer(code, token, (game, playerId, roundEnded) => {
+      return roundEnded ? null : change(game, playerId);
+    });
+    if (acted && acted.roundEnded) {
+      throw new engine.GameError(400, 'TIME_UP', 'Time is up');
+    }
+    return acted;
+  }
+
+  // API: Change room settings (host only)
+  async function updateSettings({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => {
+      engine.updateSettings(game, dictionaries, playerId, body);
+    });
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Remove a player, optionally banning them (host only)
+  async function kickPlayer({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => {
+      engine.kickPlayer(game, playerId, body.playerId, Boolean(body.ban));
+    });
+    if (!acted) return notFound();
+    publish(code, 'presence', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Make a player show under another name (host only)
+  async function renamePlayer({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => {
+      engine.renamePlayer(game, playerId, body.playerId, body.playerName);
+    });
+    if (!acted) return notFound();
+    publish(code, 'presence', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Lock or unlock the game to new players (host only)
+  async function lockGame({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.lockGame(game, playerId, body.locked));
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Add a computer player to the lobby (host only)
+  async function addBot({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.addBot(game, playerId, body.difficulty));
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Take a computer player out of the lobby (host only)
+  async function removeBot({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.removeBot(game, playerId, body.playerId));
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Put a player on a team (host only)
+  async function assignTeam({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => {
+      engine.assignTeam(game, playerId, body.playerId, body.team);
+    });
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Shuffle the players onto even teams (host only)
+  async function shuffleTeams({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.shuffleTeams(game, playerId));
+    if (!acted) return notFound();
+    publish(code, 'lobby', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Start game (host only)
+  async function startGame({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.startGame(game, dictionaries, playerId));
+    if (!acted) return notFound();
+    publish(code, 'start', acted.record);
+    scheduleRoundEnd(code, acted.record);
+    scheduleBotMoves(code, acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Start the next round of the match (host only)
+  async function nextRound({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.nextRound(game, dictionaries, playerId));
+    if (!acted) return notFound();
+    publish(code, 'start', acted.record);
+    scheduleRoundEnd(code, acted.record);
+    scheduleBotMoves(code, acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: Validate and add word
+  async function addWord({ code }, body, token) {
+    const acted = await changeWords(code, token, (game, playerId) => engine.submitWord(game, dictionaries, playerId, body.word));
+    if (!acted) return notFound();
+    if (acted.result.valid) publish(code, 'word', acted.record);
+    return ok(acted.result);
+  }
+
+  // API: Remove word from player's list
+  async function removeWord({ code }, body, token) {
+    const acted = await changeWords(code, token, (game, playerId) => engine.removeWord(game, dictionaries, playerId, body.word));
+    if (!acted) return notFound();
+    if (acted.result) publish(code, 'word', acted.record);
+    return ok({ success: true });
+  }
+
+  // API: Post a chat message, outside of rounds
+  async function sendChat({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => engine.sendChat(game, playerId, body.text));
+    if (!acted) return notFound();
+    publish(code, 'chat', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // API: React to, or take back a reaction to, another player's word from a
+  // finished round
+  async function toggleReaction({ code }, body, token) {
+    const acted = await actAsPlayer(code, token, (game, playerId) => {
+      engine.toggleReaction(game, playerId, body.round, body.playerId, body.word, body.emoji);
+    });
+    if (!acted) return notFound();
+    publish(code, 'chat', acted.record);
+    return ok(engine.toPublicGame(acted.record, acted.playerId));
+  }
+
+  // Spectators get their own projection over the same events and don't count
+  // towards presence
+  async function subscribeSpectator(code, token, listener) {
+    const updated = await storage.update(code, game => {
+      engine.authenticateSpectator(game, token);
+      return advance(game);
+    });
+    if (!updated) return null;
+    await announce(code, updated.record, updated.result);
+
+    const unsubscribe = events.subscribe(code, ({ type, game }) => {
+      listener({ type, game: engine.toSpectatorGame(game, token) });
+    });
+    listener({ type: 'state', game: engine.toSpectatorGame(updated.record, token) });
+    return unsubscribe;
+  }
+
+  // Listen for pushed updates to a game, as a player or a spectator depending
+  // on the token. The listener first gets a 'state' event with the current
+  // game. A player counts as connected until they unsubscribe. If the host
+  // removes them, the listener gets a last 'removed' event (with no game) and
+  // nothing after it. Resolves to an unsubscribe function, or null if the game
+  // does not exist or this backend has no event bus.
+  async function subscribe(code, token, listener) {
+    if (!events) return null;
+    validate(codeParams, { code });
+
+    const record = await storage.get(code);
+    if (!record) return null;
+    if (engine.isSpectatorToken(record, token)) return subscribeSpectator(code, token, listener);
+
+    const updated = await storage.update(code, game => loadAsPlayer(game, token));
+    if (!updated) return null;
+    await publishLoad(code, updated);
+
+    const { playerId } = updated.result;
+    let stopped = false;
+    function stop() {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      updatePresence(code, game => engine.markDisconnected(game, playerId));
+    }
+
+    const unsubscribe = events.subscribe(code, ({ type, game }) => {
+      if (!engine.isPlayerToken(game, token)) {
+        stop();
+        listener({ type: 'removed', game: null });
+        return;
+      }
+      listener({ type, game: engine.toPublicGame(game, playerId) });
+    });
+    const heartbeat = setInterval(() => {
+      updatePresence(code, game => engine.markSeen(game, playerId));
+    }, engine.PRESENCE_REFRESH_MS);
+    heartbeat.unref();
+
+    listener({ type: 'state', game: engine.toPublicGame(updated.record, playerId) });
+    return stop;
+  }
+
+  // params, body: schemas the path params and body must match; a route with
+  // no body schema takes an empty body
+  // limit: the rate limit a route counts against, per IP or per player
+  const routes = [
+    {
+      method: 'POST', path: '/games', handler: createGame,
+      body: { playerName: fields.playerName, profileToken: fields.profileToken },
+      limit: { name: 'create', per: 'ip' }
+    },
+    {
+      method: 'POST', path: '/profiles', handler: createProfile,
+      body: { name: fields.playerName },
+      limit: { name: 'create', per: 'ip' }
+    },
+    { method: 'GET', path: '/profile', handler: getProfile },
+    { method: 'GET', path: '/archive', handler: searchArchive, body: { q: fields.search }, limit: { name: 'search', per: 'ip' } },
+    { method: 'GET', path: '/archive/:code', handler: getArchivedGame, params: codeParams },
+    {
+      method: 'GET', path: '/archive/:code/export', handler: exportLog,
+      params: codeParams, body: { format: { type: 'string', optional: true, values: ['json', 'csv'] } }
+    },
+    { method: 'GET', path: '/daily', handler: getDaily, body: { attempt: { ...fields.gameCode, optional: true } } },
+    { method: 'GET', path: '/dictionaries', handler: listDictionaries },
+    { method: 'GET', path: '/games/:code', handler: getGame, params: codeParams },
+    {
+      method: 'POST', path: '/games/:code/join', handler: joinGame,
+      params: codeParams, body: { playerName: fields.playerName, profileToken: fields.profileToken },
+      limit: { name: 'join', per: 'ip' }
+    },
+    { method: 'POST', path: '/games/:code/rejoin', handler: rejoinGame, params: codeParams, limit: { name: 'join', per: 'ip' } },
+    { method: 'POST', path: '/games/:code/spectate', handler: spectate, params: codeParams, limit: { name: 'join', per: 'ip' } },
+    { method: 'GET', path: '/games/:code/spectate', handler: getSpectatorView, params: codeParams },
+    { method: 'PUT', path: '/games/:code/settings', handler: updateSettings, params: codeParams, body: settingsSchema },
+    {
+      method: 'POST', path: '/games/:code/kick', handler: kickPlayer,
+      params: codeParams, body: { playerId: fields.playerId, ban: { type: 'boolean', optional: true } }
+    },
+    {
+      method: 'POST', path: '/games/:code/rename', handler: renamePlayer,
+      params: codeParams, body: { playerId: fields.playerId, playerName: fields.playerName }
+    },
+    { method: 'PUT', path: '/games/:code/lock', handler: lockGame, params: codeParams, body: { locked: { type: 'boolean' } } },
+    {
+      method: 'POST', path: '/games/:code/bots', handler: addBot,
+      params: codeParams, body: { difficulty: { type: 'string', values: Object.keys(engine.BOT_LEVELS) } }
+    },
+    {
+      method: 'DELETE', path: '/games/:code/bots', handler: removeBot,
+      params: codeParams, body: { playerId: fields.playerId }
+    },
+    {
+      method: 'PUT', path: '/games/:code/teams', handler: assignTeam,
+      params: codeParams, body: { playerId: fields.playerId, team: { type: 'integer', min: 1, max: engine.MAX_TEAMS } }
+    },
+    { method: 'POST', path: '/games/:code/teams/shuffle', handler: shuffleTeams, params: codeParams },
+    { method: 'POST', path: '/games/:code/start', handler: startGame, params: codeParams },
+    { method: 'POST', path: '/games/:code/next-round', handler: nextRound, params: codeParams },
+    {
+      method: 'POST', path: '/games/:code/words', handler: addWord,
+      params: codeParams, body: { word: fields.word },
+      limit: { name: 'words', per: 'player' }
+    },
+    {
+      method: 'DELETE', path: '/games/:code/words', handler: removeWord,
+      params: codeParams, body: { word: fields.word },
+      limit: { name: 'words', per: 'player' }
+    },
+    {
+      method: 'POST', path: '/games/:code/chat', handler: sendChat,
+      params: codeParams, body: { text: { type: 'string', trim: true, minLength: 1, maxLength: engine.MAX_CHAT_LENGTH } },
+      limit: { name: 'chat', per: 'player' }
+    },
+    {
+      method: 'POST', path: '/games/:code/reactions', handler: toggleReaction,
+      params: codeParams,
+      body: {
+        round: { type: 'integer', min: 1, max: engine.MAX_ROUNDS },
+        playerId: fields.playerId,
+        word: fields.word,
+        emoji: { type: 'string', values: engine.REACTIONS }
+      },
+      limit: { name: 'chat', per: 'player' }
+    }
+  ];
+
+  function tooManyRequests(waitMs) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    return {
+      ...errorResponse(429, 'RATE_LIMITED', 'Too many requests, please slow down', { retryAfter }),
+      headers: { 'Retry-After': String(retryAfter) }
+    };
+  }
+
+  // Count a request against its route's limit and against failed game code
+  // lookups. Resolves to a 429 response if it must be turned away.
+  async function checkLimits(route, params, token, ip) {
+    if (!limiter) return null;
+
+    if (params.code) {
+      const wait = await limiter.check('misses', ip);
+      if (wait) return tooManyRequests(wait);
+    }
+    if (route.limit) {
+      const key = route.limit.per === 'player' && token ? token : ip;
+      const wait = await limiter.hit(route.limit.name, key);
+      if (wait) return tooManyRequests(wait);
+    }
+    return null;
+  }
+
+  // Handle a request: apply rate limits, then run the route. ip is the
+  // client's address. Responses may carry extra headers for the adapter to set.
+  async function handle(route, params, body, token, ip = 'unknown') {
+    const limited = await checkLimits(route, params, token, ip);
+    if (limited) return limited;
+
+    const response = await run(route, params, body, token);
+    if (limiter && response.status === 404 && params.code) await limiter.hit('misses', ip);
+    return response;
+  }
+
+  // Validate the request and run its handler, turning rule violations into
+  // error responses
+  async function run(route, params, body, token) {
+    try {
+      const input = validate(route.params || {}, params);
+      return await route.handler(input, validate(route.body || {}, body || {}), token);
+    } catch (err) {
+      if (err instanceof engine.GameError) {
+        return errorResponse(err.status, err.code, err.message, err.details);
+      }
+      if (err instanceof StorageConflictError) {
+        return errorResponse(409, 'GAME_BUSY', 'Game is busy, please try again');
+      }
+      throw err;
+    }
+  }
+
+  return { routes, handle, subscribe, archiveGame };
+}
+
+// Error responses for requests that never reach a route, in the same shape
+function routeNotFound() {
+  return errorResponse(404, 'NOT_FOUND', 'Not found');
+}
+
+function internalError() {
+  return errorResponse(500, 'INTERNAL_ERROR', 'Something went wrong');
+}
+
+// Pull the session token out of an Authorization header value
+function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+// A param that isn't valid percent-encoding is passed on as sent, so it
+// fails validation with a coded error like any other bad value
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Match a method and path (relative to /api) against the route table
+function matchRoute(routes, method, pathname) {
+  const pathParts = pathname.split('/').filter(Boolean);
+
+  for (const route of routes) {
+    if (route.method !== method) continue;
+
+    const routeParts = route.path.split('/').filter(Boolean);
+    if (routeParts.length !== pathParts.length) continue;
+
+    const params = {};
+    const matched = routeParts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeParam(pathParts[i]);
+        return true;
+      }
+      return part === pathParts[i];
+    });
+
+    if (matched) return { route, params };
+  }
+  return null;
+}
+
+module.exports = {
+  createApi,
+  errorResponse,
+  routeNotFound,
+  internalError,
+  parseBearerToken,
+  matchRoute
+};
@@ -0,0 +1,110 @@
+// Finished games, kept after the live record is cleaned up. An archived game
+// holds what's needed to list, replay and export it: names and totals, the
+// round history and the event log. Session secrets and profile links are
+// left behind.
+
+// Most games a search returns, newest first
+const MAX_SEARCH_RESULTS = 50;
+
+// Searches only read the index: the summaries of the latest games, kept in
+// the archive under this key. Older games can still be opened by code.
+const INDEX_KEY = 'index';
+const MAX_INDEX_ENTRIES = 500;
+
+const CSV_COLUMNS = ['at', 'elapsedMs', 'round', 'player', 'type', 'word', 'points'];
+
+function toArchiveRecord(game, now = Date.now()) {
+  const players = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    players[id] = { name: player.name, totalScore: player.totalScore, team: player.team };
+  });
+
+  return {
+    gameCode: game.gameCode,
+    createdAt: game.createdAt,
+    finishedAt: now,
+    settings: game.settings,
+    players,
+    roundHistory: game.roundHistory,
+    log: game.log
+  };
+}
+
+// One line of search results
+function toSummary(record) {
+  const players = Object.values(record.players)
+    .map(({ name, totalScore }) => ({ name, totalScore }))
+    .sort((a, b) => b.totalScore - a.totalScore);
+
+  return {
+    gameCode: record.gameCode,
+    finishedAt: record.finishedAt,
+    rounds: record.roundHistory.length,
+    players
+  };
+}
+
+function createIndex() {
+  return { games: [] };
+}
+
+// Put a game's summary in the index, newest first. Adding one that is already
+// there replaces it.
+function addToIndex(index, summary) {
+  index.games = [summary, ...index.games.filter(entry => entry.gameCode !== summary.gameCode)]
+    .sort((a, b) => b.finishedAt - a.finishedAt)
+    .slice(0, MAX_INDEX_ENTRIES);
+}
+
+// Case-insensitive match on a player's name or the game code, in a record
+// or its summary
+function matchesSearch(record, query) {
+  if (!query) return true;
+
+  const needle = query.toLowerCase();
+  return record.gameCode.toLowerCase().includes(needle) ||
+    Object.values(record.players).some(player => player.name.toLowerCase().includes(needle));
+}
+
+// The event log with player names and each event's time into its round
+function logEntries(record) {
+  const roundStarts = {};
+  record.roundHistory.forEach(roundResult => {
+    roundStarts[roundResult.round] = roundResult.startTime;
+  });
+
+  return record.log.map(event => ({
+    at: new Date(event.at).toISOString(),
+    elapsedMs: roundStarts[event.round] ? event.at - roundStarts[event.round] : null,
+    round: event.round,
+    player: record.players[event.playerId] ? record.players[event.playerId].name : 'Unknown',
+    type: event.type,
+    word: event.word,
+    points: event.points
+  }));
+}
+
+// Text that a spreadsheet would read as a formula (names and words come
+// from players) gets a leading quote so it stays text
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function logToCsv(record) {
+  const rows = logEntries(record).map(entry => CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  INDEX_KEY,
+  toArchiveRecord,
+  toSummary,
+  createIndex,
+  addToIndex,
+  matchesSearch,
+  logEntries,
+  logToCsv
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+// Named word lists a room can play with. Each list has its own alphabet:
+// words and guesses are upper-cased for the list's language, then letters
+// outside the alphabet are folded to their base letter (É -> E, Œ -> OE).
+// Words that still contain anything else (hyphens, apostrophes) are dropped.
+
+const MIN_WORD_LENGTH = 3;
+
+const LATIN_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Paths are relative to the project root
+const DICTIONARIES = {
+  english: {
+    name: 'English',
+    language: 'en',
+    alphabet: LATIN_ALPHABET,
+    file: 'node_modules/an-array-of-english-words/index.json'
+  },
+  classic: {
+    name: 'Classic',
+    language: 'en',
+    alphabet: LATIN_ALPHABET,
+    file: 'wordlist.txt'
+  },
+  kids: {
+    name: 'Kids',
+    language: 'en',
+    alphabet: LATIN_ALPHABET,
+    file: 'dictionaries/kids.txt'
+  },
+  spanish: {
+    name: 'Español',
+    language: 'es',
+    alphabet: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+    file: 'node_modules/an-array-of-spanish-words/index.json'
+  },
+  french: {
+    name: 'Français',
+    language: 'fr',
+    alphabet: LATIN_ALPHABET,
+    file: 'node_modules/an-array-of-french-words/index.json'
+  }
+};
+
+const DEFAULT_DICTIONARY = 'english';
+
+// Letters that fold to more than one letter
+const LIGATURES = { Œ: 'OE', Æ: 'AE' };
+
+// How many of a list's most common letters pad out short racks
+const PADDING_LETTER_COUNT = 12;
+
+// Upper-case a word and fold it into the alphabet
+function foldWord(word, alphabet, language) {
+  let folded = '';
+  for (const char of word.trim().normalize('NFC').toLocaleUpperCase(language)) {
+    if (alphabet.includes(char)) {
+      folded += char;
+      continue;
+    }
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    folded += LIGATURES[base] || base;
+  }
+  return folded;
+}
+
+// Sorted letters; words with the same signature are anagrams of each other
+function letterSignature(word) {
+  return [...word].sort().join('');
+}
+
+// Index a word list for validation, rack dealing and solving
+function buildDictionary(id, spec, rawWords) {
+  const { name, language, alphabet } = spec;
+  const normalize = word => foldWord(word, alphabet, language);
+
+  const wordSet = new Set();
+  rawWords.forEach(raw => {
+    const word = normalize(raw);
+    if (word.length >= MIN_WORD_LENGTH && [...word].every(char => alphabet.includes(char))) {
+      wordSet.add(word);
+    }
+  });
+
+  const wordsByLength = {};
+  const anagrams = new Map();
+  const letterCounts = {};
+  wordSet.forEach(word => {
+    (wordsByLength[word.length] = wordsByLength[word.length] || []).push(word);
+
+    const signature = letterSignature(word);
+    if (!anagrams.has(signature)) anagrams.set(signature, []);
+    anagrams.get(signature).push(word);
+
+    for (const char of word) {
+      letterCounts[char] = (letterCounts[char] || 0) + 1;
+    }
+  });
+
+  const paddingLetters = Object.keys(letterCounts)
+    .sort((a, b) => letterCounts[b] - letterCounts[a])
+    .slice(0, PADDING_LETTER_COUNT)
+    .join('');
+
+  return {
+    id,
+    name,
+    language,
+    alphabet,
+    normalize,
+    wordSet,
+    wordsByLength,
+    anagrams,
+    paddingLetters: paddingLetters || alphabet
+  };
+}
+
+// Dictionary used when a word list could not be loaded
+function emptyDictionary(id = DEFAULT_DICTIONARY) {
+  return buildDictionary(id, DICTIONARIES[id] || DICTIONARIES[DEFAULT_DICTIONARY], []);
+}
+
+// Read a word list: a JSON array or one word per line
+function readWords(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf-8');
+  return filePath.endsWith('.json') ? JSON.parse(contents) : contents.split('\n');
+}
+
+// Lazily loaded dictionaries, so a process only holds the lists its rooms use
+function createDictionaryRegistry(baseDir) {
+  const loaded = new Map();
+
+  return {
+    has(id) {
+      return Object.prototype.hasOwnProperty.call(DICTIONARIES, id);
+    },
+
+    get(id = DEFAULT_DICTIONARY) {
+      if (!loaded.has(id)) {
+        const spec = DICTIONARIES[id];
+        try {
+          loaded.set(id, buildDictionary(id, spec, readWords(path.join(baseDir, spec.file))));
+          console.log(`Loaded ${loaded.get(id).wordSet.size} words for the ${spec.name} dictionary`);
+        } catch (err) {
+          console.error(`Error loading ${spec.file}:`, err.message);
+          loaded.set(id, emptyDictionary(id));
+        }
+      }
+      return loaded.get(id);
+    },
+
+    // Ids and display names for the settings menu
+    list() {
+      return Object.entries(DICTIONARIES).map(([id, spec]) => ({ id, name: spec.name, language: spec.language }));
+    }
+  };
+}
+
+module.exports = {
+  MIN_WORD_LENGTH,
+  DICTIONARIES,
+  DEFAULT_DICTIONARY,
+  foldWord,
+  letterSignature,
+  buildDictionary,
+  emptyDictionary,
+  createDictionaryRegistry
+};
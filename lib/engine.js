@@ -0,0 +1,1331 @@
+const crypto = require('crypto');
+const { MIN_WORD_LENGTH, DICTIONARIES, DEFAULT_DICTIONARY } = require('./dictionaries');
+const { isNameAllowed } = require('./names');
+
+// Game rules and state transitions shared by the Express server and the
+// Netlify function. Nothing in here knows how games are stored.
+
+const DEFAULT_ROUND_DURATION = 60;
+const DEFAULT_ROUNDS = 3;
+const MAX_ROUNDS = 10;
+const DEFAULT_MAX_PLAYERS = 12;
+const DEFAULT_RACK_MIN_WORDS = 5;
+const DEFAULT_RACK_MIN_POINTS = 0;
+const MAX_TEAMS = 4;
+
+// Points per word length for each scoring preset
+const SCORING_PRESETS = {
+  classic(length) {
+    if (length === 3) return 100;
+    if (length === 4) return 400;
+    if (length === 5) return 800;
+    if (length === 6) return 1400;
+    if (length === 7) return 1800;
+    return 2300 + (length - 8) * 500; // 8+ letters
+  },
+  linear(length) {
+    return length * 100;
+  },
+  'long-words'(length) {
+    return length * length * 50;
+  }
+};
+
+// Inclusive [min, max] for each numeric room setting
+const SETTING_LIMITS = {
+  rackSize: [5, 9],
+  duration: [10, 300],
+  minWordLength: [MIN_WORD_LENGTH, 5],
+  rounds: [1, MAX_ROUNDS],
+  // 0 plays everyone for themselves
+  teams: [0, MAX_TEAMS]
+};
+
+// What spectators see of the words during a round
+const SPECTATOR_WORDS = ['hidden', 'live'];
+
+// Share of its points a word keeps at the end of the round when more than
+// one player found it
+const SHARED_WORD_RULES = { full: 1, half: 0.5, zero: 0 };
+
+// How computer players play at each difficulty: the longest words they know,
+// the share of those they get to, the average gap between finds and the
+// chance of also spotting one longer word, such as the rack's source word
+const BOT_LEVELS = {
+  easy: { maxLength: 4, share: 0.3, paceMs: 9000, longWordChance: 0.1 },
+  medium: { maxLength: 5, share: 0.5, paceMs: 6000, longWordChance: 0.3 },
+  hard: { maxLength: Infinity, share: 0.75, paceMs: 3500, longWordChance: 0 }
+};
+
+// Chat messages are cut off at this many characters, and only the latest
+// CHAT_HISTORY are kept on the game
+const MAX_CHAT_LENGTH = 200;
+const CHAT_HISTORY = 50;
+
+// Reactions players can leave on each other's words after a round
+const REACTIONS = ['👍', '😂', '😮', '🔥', '👏'];
+
+// Settings that change which racks can be dealt
+const RACK_SETTINGS = ['rackSize', 'minWordLength', 'scoring', 'difficulty', 'dictionary'];
+
+// How many findable words a rack needs for each difficulty
+const DIFFICULTY_TIERS = {
+  any: { minWords: 0, maxWords: Infinity },
+  easy: { minWords: 20, maxWords: Infinity },
+  medium: { minWords: 10, maxWords: 19 },
+  hard: { minWords: 1, maxWords: 9 }
+};
+
+// Racks to try before settling for the closest match to the requirements
+const MAX_RACK_ATTEMPTS = 50;
+
+// Settings for the daily puzzle, on top of the defaults
+const DAILY_SETTINGS = { rackSize: 7, difficulty: 'easy', rounds: 1 };
+
+// Finished daily attempts shown on the leaderboard
+const DAILY_LEADERBOARD_SIZE = 20;
+
+// Words sent this soon after the clock runs out still count, to allow for
+// network latency. The round only ends once the grace window has passed.
+const ROUND_GRACE_MS = 1500;
+
+// A player shows as connected while they were seen this recently
+const PRESENCE_TIMEOUT_MS = 15 * 1000;
+
+// Presence is only rewritten once it is this old, so polling doesn't write
+// the game on every request
+const PRESENCE_REFRESH_MS = 5 * 1000;
+
+// Error raised by a state transition; adapters turn it into an HTTP response.
+// code is a stable machine-readable name (e.g. WORD_NOT_IN_DICTIONARY) that
+// clients map to their own messages; message is English for logs and tools.
+class GameError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.name = 'GameError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Round duration in seconds, overridable with the ROUND_DURATION env var
+function getRoundDuration() {
+  const duration = parseInt(process.env.ROUND_DURATION || '', 10);
+  return duration > 0 ? duration : DEFAULT_ROUND_DURATION;
+}
+
+// Most players a room takes, overridable with the MAX_PLAYERS env var
+function getMaxPlayers() {
+  const maxPlayers = parseInt(process.env.MAX_PLAYERS || '', 10);
+  return maxPlayers > 0 ? maxPlayers : DEFAULT_MAX_PLAYERS;
+}
+
+// Minimum findable words and total points for every rack, overridable with
+// the RACK_MIN_WORDS and RACK_MIN_POINTS env vars. Zero turns a check off.
+function getRackQuality() {
+  const minWords = parseInt(process.env.RACK_MIN_WORDS || '', 10);
+  const minPoints = parseInt(process.env.RACK_MIN_POINTS || '', 10);
+  return {
+    minWords: minWords >= 0 ? minWords : DEFAULT_RACK_MIN_WORDS,
+    minPoints: minPoints >= 0 ? minPoints : DEFAULT_RACK_MIN_POINTS
+  };
+}
+
+// Helper: Generate random game code
+function generateGameCode() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return code;
+}
+
+// Helper: Deterministic PRNG (mulberry32) seeded from a string, so a seed
+// always deals the same rack
+function seededRandom(seed) {
+  let state = 0;
+  for (const char of seed) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+  }
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helper: Unbiased Fisher-Yates shuffle of an array, in place
+function shuffle(items, random = Math.random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Helper: Shuffle a string's letters
+function shuffleLetters(letters, random = Math.random) {
+  return shuffle(letters.split(''), random).join('');
+}
+
+// Helper: Pick a source word for a rack and scramble it
+function drawRack(dictionary, rackSize, random) {
+  // Pick a random word of the rack size, or the longest shorter one
+  let length = rackSize;
+  while (length >= MIN_WORD_LENGTH && !(dictionary.wordsByLength[length] || []).length) {
+    length--;
+  }
+
+  if (length < MIN_WORD_LENGTH) {
+    // Fallback if the dictionary is empty
+    return 'MASTER';
+  }
+
+  const candidates = dictionary.wordsByLength[length];
+  let source = candidates[Math.floor(random() * candidates.length)];
+
+  // Top up a short source word to the full rack size with common letters
+  const { paddingLetters } = dictionary;
+  while (source.length < rackSize) {
+    source += paddingLetters[Math.floor(random() * paddingLetters.length)];
+  }
+
+  // Never hand out the source word unscrambled
+  let letters = shuffleLetters(source, random);
+  for (let i = 0; letters === source && i < 10; i++) {
+    letters = shuffleLetters(source, random);
+  }
+  return letters;
+}
+
+// How far a solved rack is from the requirements; 0 means it qualifies
+function rackShortfall(solution, { minWords, maxWords, minPoints }) {
+  const points = solution.reduce((sum, w) => sum + w.points, 0);
+  return Math.max(0, minWords - solution.length) +
+    Math.max(0, solution.length - maxWords) +
+    Math.max(0, minPoints - points) / 100;
+}
+
+// Helper: Generate random letters for the game. Racks are solved and redrawn
+// until they make enough words for the quality floor and difficulty tier.
+function generateLetters(dictionary, options = {}) {
+  const {
+    rackSize = 6,
+    minWordLength = MIN_WORD_LENGTH,
+    scoring = 'classic',
+    difficulty = 'any',
+    random = Math.random
+  } = options;
+  const quality = { ...getRackQuality(), ...options.quality };
+  const tier = DIFFICULTY_TIERS[difficulty];
+  const requirements = {
+    minWords: Math.max(tier.minWords, quality.minWords),
+    maxWords: tier.maxWords,
+    minPoints: quality.minPoints
+  };
+
+  let best = null;
+  let bestShortfall = Infinity;
+
+  for (let attempt = 0; attempt < MAX_RACK_ATTEMPTS; attempt++) {
+    const letters = drawRack(dictionary, rackSize, random);
+    const shortfall = rackShortfall(solveRack(letters, dictionary, { minWordLength, scoring }), requirements);
+
+    if (shortfall === 0) return letters;
+    if (shortfall < bestShortfall) {
+      best = letters;
+      bestShortfall = shortfall;
+    }
+  }
+
+  // Small dictionaries may not have a qualifying rack; use the closest one
+  return best;
+}
+
+// Helper: Check if word can be formed from letters
+function canFormWord(word, gameLetters) {
+  const letterCount = {};
+  for (let letter of gameLetters) {
+    letterCount[letter] = (letterCount[letter] || 0) + 1;
+  }
+
+  for (let letter of word) {
+    if (!letterCount[letter] || letterCount[letter] === 0) {
+      return false;
+    }
+    letterCount[letter]--;
+  }
+  return true;
+}
+
+// Helper: Calculate points for a word
+function calculatePoints(word, scoring = 'classic') {
+  return SCORING_PRESETS[scoring](word.length);
+}
+
+// Helper: Every distinct sub-multiset of the rack as a sorted letter string
+function rackSignatures(letters) {
+  const counts = new Map();
+  [...letters].sort().forEach(letter => counts.set(letter, (counts.get(letter) || 0) + 1));
+
+  let signatures = [''];
+  counts.forEach((count, letter) => {
+    const next = [];
+    signatures.forEach(signature => {
+      for (let n = 0; n <= count; n++) {
+        next.push(signature + letter.repeat(n));
+      }
+    });
+    signatures = next;
+  });
+  return signatures;
+}
+
+// Every dictionary word the rack can make, longest first. Looks up the
+// rack's sub-multisets in the anagram index rather than scanning every word.
+function solveRack(letters, dictionary, { minWordLength = MIN_WORD_LENGTH, scoring = 'classic' } = {}) {
+  const words = [];
+  rackSignatures(letters).forEach(signature => {
+    if (signature.length < minWordLength) return;
+    (dictionary.anagrams.get(signature) || []).forEach(word => {
+      words.push({ word, points: calculatePoints(word, scoring) });
+    });
+  });
+  return words.sort((a, b) => b.word.length - a.word.length || a.word.localeCompare(b.word));
+}
+
+// Helper: Generate unique player ID
+function generatePlayerId() {
+  return 'player_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Helper: Generate a secret session token for a player
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Only token hashes are stored, so a leaked game record can't be replayed
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Room settings a new game starts with
+function defaultSettings() {
+  return {
+    rackSize: 6,
+    duration: getRoundDuration(),
+    minWordLength: MIN_WORD_LENGTH,
+    scoring: 'classic',
+    difficulty: 'any',
+    dictionary: DEFAULT_DICTIONARY,
+    spectatorWords: 'hidden',
+    rounds: DEFAULT_ROUNDS,
+    teams: 0,
+    sharedWords: 'full'
+  };
+}
+
+// Check a partial settings update, throwing on the first bad value
+function validateSettings(changes) {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === 'scoring') {
+      if (!Object.prototype.hasOwnProperty.call(SCORING_PRESETS, value)) {
+        throw new GameError(400, 'INVALID_SETTING', `Unknown scoring preset: ${value}`, { field: key });
+      }
+      return;
+    }
+
+    if (key === 'difficulty') {
+      if (!Object.prototype.hasOwnProperty.call(DIFFICULTY_TIERS, value)) {
+        throw new GameError(400, 'INVALID_SETTING', `Unknown difficulty: ${value}`, { field: key });
+      }
+      return;
+    }
+
+    if (key === 'dictionary') {
+      if (!Object.prototype.hasOwnProperty.call(DICTIONARIES, value)) {
+        throw new GameError(400, 'INVALID_SETTING', `Unknown dictionary: ${value}`, { field: key });
+      }
+      return;
+    }
+
+    if (key === 'spectatorWords') {
+      if (!SPECTATOR_WORDS.includes(value)) {
+        throw new GameError(400, 'INVALID_SETTING', `spectatorWords must be one of: ${SPECTATOR_WORDS.join(', ')}`, { field: key });
+      }
+      return;
+    }
+
+    if (key === 'sharedWords') {
+      if (!Object.prototype.hasOwnProperty.call(SHARED_WORD_RULES, value)) {
+        throw new GameError(400, 'INVALID_SETTING', `sharedWords must be one of: ${Object.keys(SHARED_WORD_RULES).join(', ')}`, { field: key });
+      }
+      return;
+    }
+
+    if (!SETTING_LIMITS[key]) {
+      throw new GameError(400, 'INVALID_SETTING', `Unknown setting: ${key}`, { field: key });
+    }
+
+    const [min, max] = SETTING_LIMITS[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new GameError(400, 'INVALID_SETTING', `${key} must be between ${min} and ${max}`, { field: key });
+    }
+  });
+}
+
+// The word list a game plays with, from a registry made by ./dictionaries
+function dictionaryFor(game, dictionaries) {
+  return dictionaries.get(game.settings.dictionary);
+}
+
+// Build a fresh match in the waiting state
+function createGame(dictionaries, settings = {}) {
+  settings = { ...defaultSettings(), ...settings };
+
+  return {
+    gameCode: generateGameCode(),
+    letters: generateLetters(dictionaries.get(settings.dictionary), settings),
+    players: {},
+    hostId: null,
+    sessions: {},
+    spectators: {},
+    log: [],
+    botMoves: {},
+    bans: [],
+    locked: false,
+    chat: [],
+    reactions: [],
+    status: 'waiting',
+    settings,
+    round: 0,
+    roundHistory: [],
+    startTime: null,
+    createdAt: Date.now()
+  };
+}
+
+// Today's date in UTC as YYYY-MM-DD; the daily puzzle changes at midnight UTC
+function todayUTC(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function dailyCode(date) {
+  return `DAILY-${date}`;
+}
+
+function isDailyCode(code) {
+  return /^DAILY-\d{4}-\d{2}-\d{2}$/.test(code);
+}
+
+// Each attempt at the daily puzzle is a one-player game of its own, so
+// players never write to the same record while they play. Its code comes
+// from who is playing (their profile, or their name without one), so
+// creating it can only succeed once a day for each of them.
+function dailyAttemptCode(date, identity) {
+  return `${dailyCode(date)}-${crypto.createHash('sha256').update(identity).digest('hex').slice(0, 12)}`;
+}
+
+// Build the daily puzzle for a date. The rack comes from the date seed, so
+// every server deals the same one without sharing state. The puzzle itself
+// takes no players; it holds a summary of each attempt for the leaderboard.
+function createDailyGame(dictionaries, date) {
+  const settings = { ...defaultSettings(), ...DAILY_SETTINGS };
+
+  return {
+    gameCode: dailyCode(date),
+    mode: 'daily',
+    date,
+    letters: generateLetters(dictionaries.get(settings.dictionary), { ...settings, random: seededRandom(date) }),
+    players: {},
+    hostId: null,
+    sessions: {},
+    spectators: {},
+    log: [],
+    attempts: {},
+    status: 'active',
+    settings,
+    round: 1,
+    roundHistory: [],
+    startTime: null,
+    createdAt: Date.now()
+  };
+}
+
+// A fresh attempt at a daily puzzle, waiting for its one player. It stays
+// active all day and the player's clock starts when they join.
+function createDailyAttempt(puzzle, code) {
+  return {
+    gameCode: code,
+    mode: 'daily',
+    date: puzzle.date,
+    letters: puzzle.letters,
+    players: {},
+    hostId: null,
+    sessions: {},
+    spectators: {},
+    log: [],
+    status: 'active',
+    settings: puzzle.settings,
+    round: 1,
+    roundHistory: [],
+    startTime: null,
+    createdAt: Date.now()
+  };
+}
+
+// When a clock started at startTime stops taking words, grace included
+function roundCloseTime(game, startTime) {
+  return startTime + game.settings.duration * 1000 + ROUND_GRACE_MS;
+}
+
+// Whether a daily player's own clock has run out
+function dailyAttemptOver(game, player, now = Date.now()) {
+  return now >= roundCloseTime(game, player.startTime);
+}
+
+// Whether the current round has stopped taking words
+function roundOver(game, now = Date.now()) {
+  if (game.mode === 'daily') return false;
+  return game.status !== 'active' || now >= roundCloseTime(game, game.startTime);
+}
+
+// Copy an attempt's standing into its puzzle's summary. Once the attempt is
+// over the summary is final.
+function recordDailyAttempt(puzzle, attempt, now = Date.now()) {
+  const player = Object.values(attempt.players)[0];
+  if (!player) return;
+
+  puzzle.attempts[attempt.gameCode] = {
+    name: player.name,
+    score: player.score,
+    wordCount: player.words.length,
+    startTime: player.startTime,
+    finished: dailyAttemptOver(attempt, player, now)
+  };
+}
+
+// Attempts whose clock has run out but whose summary doesn't know it yet
+function dueDailyAttempts(puzzle, now = Date.now()) {
+  return Object.entries(puzzle.attempts)
+    .filter(([, entry]) => !entry.finished && dailyAttemptOver(puzzle, entry, now))
+    .map(([code]) => code);
+}
+
+// Daily standings over finished attempts, best score first
+function dailyLeaderboard(puzzle) {
+  return Object.values(puzzle.attempts)
+    .filter(entry => entry.finished)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, DAILY_LEADERBOARD_SIZE)
+    .map(({ name, score, wordCount }) => ({ name, score, wordCount }));
+}
+
+// Whether a player has been seen recently enough to count as connected. Bots
+// are always there until they are removed.
+function isConnected(player, now = Date.now()) {
+  if (player.removed) return false;
+  if (player.bot) return true;
+  return Boolean(player.lastSeen) && now - player.lastSeen < PRESENCE_TIMEOUT_MS;
+}
+
+// Note that a player is still around. Returns true when they were showing as
+// disconnected, so the others can be told they are back.
+function markSeen(game, playerId, now = Date.now()) {
+  const player = game.players[playerId];
+  if (!player) return false;
+
+  const wasConnected = isConnected(player, now);
+  if (!player.lastSeen || now - player.lastSeen >= PRESENCE_REFRESH_MS) {
+    player.lastSeen = now;
+  }
+  return !wasConnected;
+}
+
+// Show a player as disconnected straight away, e.g. when their stream closes.
+// Returns true if they were showing as connected.
+function markDisconnected(game, playerId, now = Date.now()) {
+  const player = game.players[playerId];
+  if (!player || !isConnected(player, now)) return false;
+
+  player.lastSeen = null;
+  return true;
+}
+
+// Team play: settings.teams is how many teams there are, numbered from 1,
+// and each player's team is on the player. A word counts once per team.
+function teamsEnabled(game) {
+  return game.settings.teams > 0;
+}
+
+// Whether two players share a team
+function sameTeam(game, playerId, otherId) {
+  const player = game.players[playerId];
+  const other = game.players[otherId];
+  return teamsEnabled(game) && Boolean(player && other) && player.team === other.team;
+}
+
+// The team with the fewest players, lowest number first
+function smallestTeam(game) {
+  const sizes = Array.from({ length: game.settings.teams }, () => 0);
+  Object.values(game.players).forEach(player => {
+    if (player.team) sizes[player.team - 1] += 1;
+  });
+  return sizes.indexOf(Math.min(...sizes)) + 1;
+}
+
+// Deal the players onto the teams in a random order, so team sizes differ by
+// at most one. Without teams everyone's team is cleared.
+function balanceTeams(game, random = Math.random) {
+  shuffle(Object.keys(game.players), random).forEach((id, i) => {
+    game.players[id].team = teamsEnabled(game) ? i % game.settings.teams + 1 : null;
+  });
+}
+
+// Whether the words found this round may be shown to everyone. They stay
+// private while a round is being played; finished rounds are revealed in the
+// history anyway.
+function wordsAreSecret(game) {
+  return game.status === 'active';
+}
+
+// The game as one player may see it: no session secrets, bans, event log or
+// bot plans, each player's presence, and while a round is on only the words
+// of the viewer and their teammates. Opponents show their score and word
+// count instead.
+function toPublicGame(game, viewerId, now = Date.now()) {
+  const { sessions, spectators, log, botMoves, bans, ...publicGame } = game;
+  const hideWords = wordsAreSecret(game);
+
+  publicGame.players = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    const { profileKey, ...view } = player;
+    view.wordCount = player.words.length;
+    view.connected = isConnected(player, now);
+    if (hideWords && id !== viewerId && !sameTeam(game, viewerId, id)) delete view.words;
+    publicGame.players[id] = view;
+  });
+
+  // Clients run their countdown against this, not the device clock
+  publicGame.serverTime = now;
+  return publicGame;
+}
+
+// What a spectator may see: the rack, clock and scoreboard. Words found this
+// round are left out unless the host shows them to spectators, and then only
+// on screens the host opened, since anyone (players too) can watch. Past
+// rounds are already revealed to everyone.
+function toSpectatorGame(game, token = null, now = Date.now()) {
+  const spectator = token && game.spectators && game.spectators[hashSessionToken(token)];
+  const showWords = !wordsAreSecret(game) ||
+    (game.settings.spectatorWords === 'live' && Boolean(spectator && spectator.byHost));
+
+  const players = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    players[id] = {
+      name: player.name,
+      score: player.score,
+      totalScore: player.totalScore,
+      wordCount: player.words.length,
+      connected: isConnected(player, now),
+      team: player.team
+    };
+    if (showWords) players[id].words = player.words;
+  });
+
+  return {
+    gameCode: game.gameCode,
+    letters: game.letters,
+    status: game.status,
+    settings: game.settings,
+    round: game.round,
+    startTime: game.startTime,
+    hostId: game.hostId,
+    players,
+    roundHistory: game.roundHistory,
+    serverTime: now
+  };
+}
+
+// Let someone watch without playing. Allowed in any status, and spectators
+// never appear in players. byHost marks a screen the host opened.
+function spectateGame(game, byHost = false) {
+  if (game.mode === 'daily') {
+    throw new GameError(400, 'DAILY_NOT_WATCHABLE', 'The daily puzzle can\'t be watched');
+  }
+
+  const spectatorToken = generateSessionToken();
+  game.spectators[hashSessionToken(spectatorToken)] = { joinedAt: Date.now(), byHost };
+  return { spectatorToken };
+}
+
+// Whether a token was issued to one of the game's spectators by spectateGame
+function isSpectatorToken(game, token) {
+  return Boolean(token && game.spectators && game.spectators[hashSessionToken(token)]);
+}
+
+function authenticateSpectator(game, token) {
+  if (!isSpectatorToken(game, token)) {
+    throw new GameError(401, 'INVALID_SPECTATOR_TOKEN', 'Invalid or missing spectator token');
+  }
+}
+
+// Whether a token belongs to one of the game's players. Games saved before
+// sessions existed have none, so no token does.
+function isPlayerToken(game, token) {
+  const playerId = token && game.sessions && game.sessions[hashSessionToken(token)];
+  return Boolean(playerId && game.players[playerId]);
+}
+
+// Resolve a session token to the player it was issued to
+function authenticate(game, token) {
+  if (!isPlayerToken(game, token)) {
+    throw new GameError(401, 'INVALID_SESSION', 'Invalid or missing session token');
+  }
+  return game.sessions[hashSessionToken(token)];
+}
+
+// Host-only actions: starting the game and changing its settings
+function requireHost(game, playerId) {
+  if (playerId !== game.hostId) {
+    throw new GameError(403, 'NOT_HOST', 'Only the host can do that');
+  }
+}
+
+// The end-of-round scoring pass for rooms that cut shared words. Scores are
+// summed as words come in; here every word found by more than one player
+// (teammates count as one) is marked shared and loses the share of its points
+// the rule takes. Returns each player's adjustment, or null when shared words
+// score in full.
+function scoreSharedWords(game) {
+  const keep = SHARED_WORD_RULES[game.settings.sharedWords];
+  if (keep === 1) return null;
+
+  const finders = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    const finder = teamsEnabled(game) ? `team ${player.team}` : id;
+    player.words.forEach(({ word }) => {
+      (finders[word] = finders[word] || new Set()).add(finder);
+    });
+  });
+
+  const adjustments = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    let adjustment = 0;
+    player.words.forEach(wordObj => {
+      if (finders[wordObj.word].size < 2) return;
+      wordObj.shared = true;
+      adjustment -= wordObj.points - Math.floor(wordObj.points * keep);
+    });
+    player.score += adjustment;
+    adjustments[id] = adjustment;
+  });
+  return adjustments;
+}
+
+// Bank the round's words and scores into the history and running totals, then
+// pause for the next round or finish the match. The history also reveals
+// every word the rack could make.
+function endRound(game, dictionaries) {
+  const { minWordLength, scoring } = game.settings;
+  const possibleWords = solveRack(game.letters, dictionaryFor(game, dictionaries), { minWordLength, scoring });
+  const possiblePoints = possibleWords.reduce((sum, w) => sum + w.points, 0);
+  const adjustments = scoreSharedWords(game);
+
+  const scores = {};
+  Object.entries(game.players).forEach(([playerId, player]) => {
+    scores[playerId] = {
+      words: player.words,
+      score: player.score,
+      percentOfPossible: possiblePoints > 0 ? Math.round(player.score / possiblePoints * 100) : 0
+    };
+    if (adjustments) scores[playerId].adjustment = adjustments[playerId];
+    player.totalScore += player.score;
+  });
+
+  game.botMoves = {};
+  game.roundHistory.push({
+    round: game.round,
+    letters: game.letters,
+    startTime: game.startTime,
+    scores,
+    possibleWords,
+    possiblePoints
+  });
+  game.status = game.round < game.settings.rounds ? 'intermission' : 'finished';
+}
+
+// End the active round once its time is up. Returns true if changed.
+function endRoundIfExpired(game, dictionaries, now = Date.now()) {
+  if (game.mode !== 'daily' && game.status === 'active' && roundOver(game, now)) {
+    endRound(game, dictionaries);
+    return true;
+  }
+  return false;
+}
+
+// Seat a new player, on the smallest team in team games. Returns their id.
+function addPlayer(game, name) {
+  const playerId = generatePlayerId();
+  game.players[playerId] = {
+    name,
+    words: [],
+    score: 0,
+    totalScore: 0,
+    lastSeen: Date.now(),
+    team: null
+  };
+  if (game.mode !== 'daily' && teamsEnabled(game)) {
+    game.players[playerId].team = smallestTeam(game);
+  }
+  return playerId;
+}
+
+// Check a name a player wants to show under: it must pass the filter in
+// ./names and no one else in the game may have it, whatever the case
+function checkName(game, name, exceptId = null) {
+  if (!isNameAllowed(name)) {
+    throw new GameError(400, 'NAME_NOT_ALLOWED', 'That name is not allowed', { field: 'playerName' });
+  }
+
+  const taken = Object.entries(game.players).some(([id, player]) => {
+    return id !== exceptId && player.name.toLowerCase() === name.toLowerCase();
+  });
+  if (taken) {
+    throw new GameError(409, 'NAME_TAKEN', 'That name is already taken in this game');
+  }
+}
+
+// Whether a ban keeps this name or profile out of the game
+function isBanned(game, name, profileKey) {
+  return (game.bans || []).some(ban => ban.name === name.toLowerCase() || (profileKey && ban.profileKey === profileKey));
+}
+
+// Add a player to a waiting game and issue their session. The first player
+// to join becomes the host. A daily attempt takes its one player and has no
+// host.
+function joinGame(game, playerName, profileKey = null) {
+  const isDaily = game.mode === 'daily';
+
+  if (isDaily && Object.keys(game.players).length > 0) {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!isDaily && game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!isDaily && game.locked) {
+    throw new GameError(403, 'GAME_LOCKED', 'The host has locked this game');
+  }
+
+  if (!playerName || playerName.trim().length === 0) {
+    throw new GameError(400, 'INVALID_INPUT', 'playerName is required', { field: 'playerName' });
+  }
+
+  const name = playerName.trim();
+  if (isBanned(game, name, profileKey)) {
+    throw new GameError(403, 'BANNED', 'You can\'t join this game');
+  }
+
+  if (!isDaily && Object.keys(game.players).length >= getMaxPlayers()) {
+    throw new GameError(403, 'GAME_FULL', 'Game is full');
+  }
+
+  checkName(game, name);
+
+  const playerId = addPlayer(game, name);
+  const sessionToken = generateSessionToken();
+  if (isDaily) {
+    game.players[playerId].startTime = Date.now();
+  }
+  // Links the player to a profile from ./profiles for all-time stats
+  if (profileKey) {
+    game.players[playerId].profileKey = profileKey;
+  }
+
+  game.sessions[hashSessionToken(sessionToken)] = playerId;
+  if (!isDaily && !game.hostId) {
+    game.hostId = playerId;
+  }
+  return { playerId, sessionToken };
+}
+
+// Change room settings before the match starts (host only)
+function updateSettings(game, dictionaries, playerId, changes) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  validateSettings(changes);
+  const rackChanged = RACK_SETTINGS.some(key => changes[key] !== undefined && changes[key] !== game.settings[key]);
+  const teamsChanged = changes.teams !== undefined && changes.teams !== game.settings.teams;
+  game.settings = { ...game.settings, ...changes };
+
+  if (teamsChanged) {
+    balanceTeams(game);
+  }
+
+  // The lobby previews the first rack, so deal one that fits the new settings
+  if (rackChanged) {
+    game.letters = generateLetters(dictionaryFor(game, dictionaries), game.settings);
+  }
+}
+
+// Add a computer player to a waiting game (host only). Bots have no session;
+// their words are planned when each round starts and played by playBotMoves.
+function addBot(game, playerId, difficulty) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (Object.keys(game.players).length >= getMaxPlayers()) {
+    throw new GameError(403, 'GAME_FULL', 'Game is full');
+  }
+
+  const label = difficulty[0].toUpperCase() + difficulty.slice(1);
+  const names = new Set(Object.values(game.players).map(player => player.name.toLowerCase()));
+  let name = `${label} Bot`;
+  for (let n = 2; names.has(name.toLowerCase()); n++) {
+    name = `${label} Bot ${n}`;
+  }
+
+  const botId = addPlayer(game, name);
+  game.players[botId].bot = difficulty;
+  game.players[botId].lastSeen = null;
+  return botId;
+}
+
+// Take a bot back out of a waiting game (host only)
+function removeBot(game, playerId, botId) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!game.players[botId] || !game.players[botId].bot) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Bot not found');
+  }
+
+  delete game.players[botId];
+}
+
+// Plan when each bot finds which words this round. Bots find shorter words
+// first, in a random order within each length, and stop when the clock does.
+function planBotMoves(game, dictionaries, random = Math.random) {
+  const { minWordLength, scoring, duration } = game.settings;
+  const words = solveRack(game.letters, dictionaryFor(game, dictionaries), { minWordLength, scoring })
+    .map(({ word }) => word);
+  const endTime = game.startTime + duration * 1000;
+
+  game.botMoves = {};
+  Object.entries(game.players).forEach(([id, player]) => {
+    if (!player.bot || player.removed) return;
+    const level = BOT_LEVELS[player.bot];
+
+    const vocabulary = words.filter(word => word.length <= level.maxLength);
+    const known = shuffle(vocabulary, random)
+      .sort((a, b) => a.length - b.length)
+      .slice(0, Math.ceil(vocabulary.length * level.share));
+
+    const longer = words.filter(word => word.length > level.maxLength);
+    if (longer.length > 0 && random() < level.longWordChance) {
+      known.splice(Math.floor(random() * (known.length + 1)), 0, longer[Math.floor(random() * longer.length)]);
+    }
+
+    const moves = [];
+    let at = game.startTime;
+    for (const word of known) {
+      at += Math.round(level.paceMs * (0.5 + random()));
+      if (at >= endTime) break;
+      moves.push({ at, word });
+    }
+    game.botMoves[id] = moves;
+  });
+}
+
+// Make every bot move that is due. Moves go through submitWord like anyone
+// else's, timed when the bot made them, so a word a teammate has taken in the
+// meantime is turned away as usual. Returns true if any word was accepted.
+function playBotMoves(game, dictionaries, now = Date.now()) {
+  if (game.status !== 'active' || !game.botMoves) return false;
+
+  let played = false;
+  Object.entries(game.botMoves).forEach(([botId, moves]) => {
+    while (moves.length > 0 && moves[0].at <= now) {
+      const { at, word } = moves.shift();
+      try {
+        submitWord(game, dictionaries, botId, word, at);
+        played = true;
+      } catch (err) {
+        if (!(err instanceof GameError)) throw err;
+      }
+    }
+  });
+  return played;
+}
+
+// When the next bot move is due, or null if none are left this round
+function nextBotMoveTime(game) {
+  if (game.status !== 'active' || !game.botMoves) return null;
+
+  const times = Object.values(game.botMoves).filter(moves => moves.length > 0).map(moves => moves[0].at);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// Remove a player (host only). Their session stops working straight away. In
+// the lobby they leave the game; once it has started they keep their place in
+// the standings and history, marked as removed, and just can't play or chat.
+// With ban their name, and their profile if they joined with one, are kept
+// out for the rest of the game. Addresses aren't banned: players behind the
+// same router or proxy would all be shut out.
+function kickPlayer(game, playerId, targetId, ban = false) {
+  requireHost(game, playerId);
+
+  if (!game.players[targetId] || game.players[targetId].removed) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Player not found');
+  }
+
+  if (targetId === game.hostId) {
+    throw new GameError(400, 'CANNOT_KICK_HOST', 'The host can\'t be removed');
+  }
+
+  const target = game.players[targetId];
+  if (ban) {
+    game.bans = [...(game.bans || []), { name: target.name.toLowerCase(), profileKey: target.profileKey || null }];
+  }
+
+  if (game.status === 'waiting') {
+    delete game.players[targetId];
+  } else {
+    target.removed = true;
+  }
+  Object.keys(game.sessions).forEach(hash => {
+    if (game.sessions[hash] === targetId) delete game.sessions[hash];
+  });
+  if (game.botMoves) delete game.botMoves[targetId];
+}
+
+// Make a player show under another name (host only)
+function renamePlayer(game, playerId, targetId, playerName) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!game.players[targetId]) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Player not found');
+  }
+
+  const name = playerName.trim();
+  checkName(game, name, targetId);
+  game.players[targetId].name = name;
+}
+
+// Stop or allow new joins (host only)
+function lockGame(game, playerId, locked) {
+  requireHost(game, playerId);
+  game.locked = locked;
+}
+
+// Chat runs in the lobby and between rounds, but not while a round is on,
+// so nobody can pass answers around. The daily puzzle has no chat.
+function requireChatOpen(game) {
+  if (game.mode === 'daily' || game.status === 'active') {
+    throw new GameError(400, 'CHAT_CLOSED', 'Chat is closed while the round is on');
+  }
+}
+
+// Post a chat message under the player's current name
+function sendChat(game, playerId, text, now = Date.now()) {
+  requireChatOpen(game);
+
+  const message = text.trim();
+  if (message.length === 0 || message.length > MAX_CHAT_LENGTH) {
+    throw new GameError(400, 'INVALID_INPUT', `text must be 1 to ${MAX_CHAT_LENGTH} characters`, { field: 'text' });
+  }
+
+  const entry = { playerId, name: game.players[playerId].name, text: message, at: now };
+  game.chat = [...(game.chat || []), entry].slice(-CHAT_HISTORY);
+}
+
+// Add the player's reaction to a word another player found in a past round,
+// or take it back if they already left that one
+function toggleReaction(game, playerId, round, targetId, word, emoji) {
+  requireChatOpen(game);
+
+  if (!REACTIONS.includes(emoji)) {
+    throw new GameError(400, 'INVALID_INPUT', `emoji must be one of: ${REACTIONS.join(' ')}`, { field: 'emoji' });
+  }
+
+  if (targetId === playerId) {
+    throw new GameError(400, 'OWN_WORD', 'You can\'t react to your own words');
+  }
+
+  const result = game.roundHistory[round - 1];
+  const scores = result && result.scores[targetId];
+  const target = word.toUpperCase();
+  if (!scores || !scores.words.some(wordObj => wordObj.word === target)) {
+    throw new GameError(400, 'WORD_NOT_FOUND', 'That player didn\'t find that word that round');
+  }
+
+  const reactions = game.reactions || [];
+  const existing = reactions.find(reaction => {
+    return reaction.round === round && reaction.playerId === targetId && reaction.word === target && reaction.emoji === emoji;
+  });
+  if (!existing) {
+    reactions.push({ round, playerId: targetId, word: target, emoji, by: [playerId] });
+  } else if (existing.by.includes(playerId)) {
+    existing.by = existing.by.filter(id => id !== playerId);
+  } else {
+    existing.by.push(playerId);
+  }
+  game.reactions = reactions.filter(reaction => reaction.by.length > 0);
+}
+
+// Move a player onto another team before the match starts (host only)
+function assignTeam(game, playerId, targetId, team) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!teamsEnabled(game)) {
+    throw new GameError(400, 'TEAMS_DISABLED', 'This game is not played in teams');
+  }
+
+  if (!game.players[targetId]) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Player not found');
+  }
+
+  if (team > game.settings.teams) {
+    throw new GameError(400, 'INVALID_INPUT', `team must be at most ${game.settings.teams}`, { field: 'team' });
+  }
+
+  game.players[targetId].team = team;
+}
+
+// Shuffle everyone onto even teams (host only)
+function shuffleTeams(game, playerId) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  if (!teamsEnabled(game)) {
+    throw new GameError(400, 'TEAMS_DISABLED', 'This game is not played in teams');
+  }
+
+  balanceTeams(game);
+}
+
+function startGame(game, dictionaries, playerId) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'waiting') {
+    throw new GameError(400, 'GAME_ALREADY_STARTED', 'Game already started');
+  }
+
+  game.status = 'active';
+  game.round = 1;
+  game.startTime = Date.now();
+  planBotMoves(game, dictionaries);
+}
+
+// Deal fresh letters and start the next round of the match
+function nextRound(game, dictionaries, playerId) {
+  requireHost(game, playerId);
+
+  if (game.status !== 'intermission') {
+    throw new GameError(400, 'NO_ROUND_TO_START', 'No round to start');
+  }
+
+  Object.values(game.players).forEach(player => {
+    player.words = [];
+    player.score = 0;
+  });
+
+  game.letters = generateLetters(dictionaryFor(game, dictionaries), game.settings);
+  game.status = 'active';
+  game.round += 1;
+  game.startTime = Date.now();
+  planBotMoves(game, dictionaries);
+}
+
+// Record an accepted submission or a removal in the game's event log, which
+// is kept for replays and exports once the game is over
+function logEvent(game, playerId, type, word, points, at = Date.now()) {
+  game.log.push({ at, round: game.round, playerId, type, word, points });
+}
+
+// Validate a word and credit it to the player, throwing a 422 with the reason
+// when it doesn't count. now is when the word was sent.
+function submitWord(game, dictionaries, playerId, word, now = Date.now()) {
+  if (game.status !== 'active') {
+    throw new GameError(400, 'GAME_NOT_ACTIVE', 'Game not active');
+  }
+
+  if (!game.players[playerId]) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Player not found');
+  }
+
+  if (game.mode === 'daily' && dailyAttemptOver(game, game.players[playerId], now)) {
+    throw new GameError(400, 'ATTEMPT_OVER', 'Your attempt is over');
+  }
+
+  if (roundOver(game, now)) {
+    throw new GameError(400, 'TIME_UP', 'Time is up');
+  }
+
+  const dictionary = dictionaryFor(game, dictionaries);
+  const wordUpper = dictionary.normalize(word);
+  const { minWordLength, scoring } = game.settings;
+
+  if (wordUpper.length < minWordLength) {
+    throw new GameError(422, 'WORD_TOO_SHORT', `Word must be at least ${minWordLength} letters`, { minWordLength });
+  }
+
+  if (!canFormWord(wordUpper, game.letters)) {
+    throw new GameError(422, 'LETTERS_UNAVAILABLE', 'Cannot form word from available letters');
+  }
+
+  if (!dictionary.wordSet.has(wordUpper)) {
+    throw new GameError(422, 'WORD_NOT_IN_DICTIONARY', 'Word not in dictionary');
+  }
+
+  // Check if player already submitted this word
+  if (game.players[playerId].words.some(w => w.word === wordUpper)) {
+    throw new GameError(422, 'WORD_ALREADY_SUBMITTED', 'Word already submitted');
+  }
+
+  // In team play the first teammate to find a word scores it for the team
+  const foundByTeam = Object.keys(game.players).some(id => {
+    return id !== playerId && sameTeam(game, playerId, id) && game.players[id].words.some(w => w.word === wordUpper);
+  });
+  if (foundByTeam) {
+    throw new GameError(422, 'WORD_FOUND_BY_TEAM', 'Word already found by your team');
+  }
+
+  const points = calculatePoints(wordUpper, scoring);
+  game.players[playerId].words.push({ word: wordUpper, points });
+  game.players[playerId].score += points;
+  logEvent(game, playerId, 'submit', wordUpper, points, now);
+
+  return { valid: true, points, word: wordUpper };
+}
+
+// Take a word back out of the player's list. Returns true if a word was removed.
+function removeWord(game, dictionaries, playerId, word) {
+  if (game.status !== 'active') {
+    throw new GameError(400, 'GAME_NOT_ACTIVE', 'Game not active');
+  }
+
+  if (!game.players[playerId]) {
+    throw new GameError(400, 'PLAYER_NOT_FOUND', 'Player not found');
+  }
+
+  if (game.mode === 'daily' && dailyAttemptOver(game, game.players[playerId])) {
+    throw new GameError(400, 'ATTEMPT_OVER', 'Your attempt is over');
+  }
+
+  if (roundOver(game)) {
+    throw new GameError(400, 'TIME_UP', 'Time is up');
+  }
+
+  const wordUpper = dictionaryFor(game, dictionaries).normalize(word);
+  const player = game.players[playerId];
+  const wordIndex = player.words.findIndex(w => w.word === wordUpper);
+
+  if (wordIndex === -1) {
+    return false;
+  }
+
+  const removedWord = player.words.splice(wordIndex, 1)[0];
+  player.score -= removedWord.points;
+  logEvent(game, playerId, 'remove', wordUpper, -removedWord.points);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_ROUND_DURATION,
+  DEFAULT_ROUNDS,
+  MAX_ROUNDS,
+  MAX_TEAMS,
+  MIN_WORD_LENGTH,
+  SCORING_PRESETS,
+  SETTING_LIMITS,
+  DIFFICULTY_TIERS,
+  SPECTATOR_WORDS,
+  SHARED_WORD_RULES,
+  BOT_LEVELS,
+  MAX_CHAT_LENGTH,
+  REACTIONS,
+  ROUND_GRACE_MS,
+  PRESENCE_REFRESH_MS,
+  GameError,
+  getRoundDuration,
+  getMaxPlayers,
+  getRackQuality,
+  generateGameCode,
+  seededRandom,
+  shuffleLetters,
+  generateLetters,
+  canFormWord,
+  calculatePoints,
+  solveRack,
+  defaultSettings,
+  validateSettings,
+  dictionaryFor,
+  createGame,
+  todayUTC,
+  dailyCode,
+  isDailyCode,
+  dailyAttemptCode,
+  createDailyGame,
+  createDailyAttempt,
+  recordDailyAttempt,
+  dueDailyAttempts,
+  dailyLeaderboard,
+  roundCloseTime,
+  teamsEnabled,
+  markSeen,
+  markDisconnected,
+  toPublicGame,
+  toSpectatorGame,
+  spectateGame,
+  authenticateSpectator,
+  isSpectatorToken,
+  isPlayerToken,
+  authenticate,
+  requireHost,
+  endRoundIfExpired,
+  joinGame,
+  kickPlayer,
+  renamePlayer,
+  lockGame,
+  sendChat,
+  toggleReaction,
+  addBot,
+  removeBot,
+  playBotMoves,
+  nextBotMoveTime,
+  updateSettings,
+  assignTeam,
+  shuffleTeams,
+  startGame,
+  nextRound,
+  submitWord,
+  removeWord
+};
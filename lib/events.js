@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for game updates, keyed by game code. Only useful where
+// one long-lived process serves every client of a game (the Express server);
+// the Netlify function has no bus and clients fall back to polling there.
+// Events carry whole game records, so subscribers must project them before
+// anything leaves the process.
+function createEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish(code, type, game) {
+      emitter.emit(code, { type, game });
+    },
+
+    // Returns a function that removes the listener
+    subscribe(code, listener) {
+      emitter.on(code, listener);
+      return () => emitter.off(code, listener);
+    }
+  };
+}
+
+module.exports = {
+  createEventBus
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { StorageConflictError } = require('./storage');
+
+// Request rate limits, counted in fixed windows per key (an IP address or a
+// player's session). createRateLimiter keeps the counters in process memory,
+// which is all the Express server needs. Netlify runs many function
+// instances that share no memory, so createSharedRateLimiter keeps the limits
+// that guard storage (creates and code lookups) in a storage backend that
+// every instance sees.
+
+// Default limits; each can be overridden with the env var named in `env`
+const RATE_LIMITS = {
+  // Games created per IP
+  create: { max: 10, windowMs: 60 * 1000, env: 'RATE_LIMIT_CREATE_PER_MINUTE' },
+  // Joins, rejoins and spectator joins per IP
+  join: { max: 30, windowMs: 60 * 1000, env: 'RATE_LIMIT_JOIN_PER_MINUTE' },
+  // Word submissions and removals per player
+  words: { max: 5, windowMs: 1000, env: 'RATE_LIMIT_WORDS_PER_SECOND' },
+  // Chat messages and reactions per player
+  chat: { max: 20, windowMs: 60 * 1000, env: 'RATE_LIMIT_CHAT_PER_MINUTE' },
+  // Archive searches per IP
+  search: { max: 30, windowMs: 60 * 1000, env: 'RATE_LIMIT_SEARCH_PER_MINUTE' },
+  // Lookups of game codes that don't exist, per IP, so codes can't be guessed
+  misses: { max: 20, windowMs: 60 * 1000, env: 'RATE_LIMIT_MISSES_PER_MINUTE' }
+};
+
+// Expired windows are swept once this many keys are being tracked
+const SWEEP_THRESHOLD = 10000;
+
+// Shared counters are spread over this many records per limit
+const SHARDS = 16;
+
+// Limits with env overrides applied
+function getRateLimits() {
+  const limits = {};
+  Object.entries(RATE_LIMITS).forEach(([name, { max, windowMs, env }]) => {
+    const override = parseInt(process.env[env] || '', 10);
+    limits[name] = { max: override > 0 ? override : max, windowMs };
+  });
+  return limits;
+}
+
+function createRateLimiter(limits = getRateLimits()) {
+  const windows = new Map();
+
+  function sweep(now) {
+    windows.forEach((window, id) => {
+      if (now >= window.resetAt) windows.delete(id);
+    });
+  }
+
+  // The current window for a key, starting a new one if it has run out
+  function current(name, key, now) {
+    const id = `${name}:${key}`;
+    let window = windows.get(id);
+    if (!window || now >= window.resetAt) {
+      if (windows.size >= SWEEP_THRESHOLD) sweep(now);
+      window = { count: 0, resetAt: now + limits[name].windowMs };
+      windows.set(id, window);
+    }
+    return window;
+  }
+
+  return {
+    // Milliseconds until the key may be let through again, or 0 if it may be
+    // now. Doesn't count as a request.
+    check(name, key, now = Date.now()) {
+      const window = current(name, key, now);
+      return window.count >= limits[name].max ? window.resetAt - now : 0;
+    },
+
+    // Count a request. Returns what check() would have returned before it.
+    hit(name, key, now = Date.now()) {
+      const wait = this.check(name, key, now);
+      if (!wait) current(name, key, now).count += 1;
+      return wait;
+    }
+  };
+}
+
+// Counters for the limits named in `shared` kept in a storage backend and
+// changed with the backend's compare-and-swap updates. Each limit's windows
+// are spread over SHARDS records by key, and a record drops the windows that
+// have run out whenever it is written, so the store never holds more than
+// the keys seen within one window. The other limits go to `local`, an
+// in-memory limiter that can outlive this one. check() and hit() resolve to
+// what the in-memory limiter returns.
+function createSharedRateLimiter(storage, shared, local = createRateLimiter(), limits = getRateLimits()) {
+  // Keys are addresses or session tokens, so they are hashed before storing;
+  // the hash also picks the shard
+  function locate(name, key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+    return { id: `${name}-${parseInt(hash.slice(0, 8), 16) % SHARDS}`, hash };
+  }
+
+  return {
+    async check(name, key, now = Date.now()) {
+      if (!shared.includes(name)) return local.check(name, key, now);
+
+      const { id, hash } = locate(name, key);
+      const shard = await storage.get(id);
+      const window = shard && shard.windows[hash];
+      if (!window || now >= window.resetAt) return 0;
+      return window.count >= limits[name].max ? window.resetAt - now : 0;
+    },
+
+    async hit(name, key, now = Date.now()) {
+      if (!shared.includes(name)) return local.hit(name, key, now);
+
+      const { max, windowMs } = limits[name];
+      const { id, hash } = locate(name, key);
+      const count = shard => {
+        Object.entries(shard.windows).forEach(([other, window]) => {
+          if (now >= window.resetAt) delete shard.windows[other];
+        });
+        const window = shard.windows[hash] || (shard.windows[hash] = { count: 0, resetAt: now + windowMs });
+        if (window.count >= max) return window.resetAt - now;
+        window.count += 1;
+        return 0;
+      };
+
+      try {
+        let updated = await storage.update(id, count);
+        if (updated) return updated.result;
+
+        // The shard's first write; if another instance beats us to it, count
+        // in theirs
+        const shard = { windows: {} };
+        const wait = count(shard);
+        if (await storage.create(id, shard)) return wait;
+
+        updated = await storage.update(id, count);
+        return updated ? updated.result : 0;
+      } catch (err) {
+        // Writes this contended mean the key is sending a lot; turn it away
+        if (err instanceof StorageConflictError) return windowMs;
+        throw err;
+      }
+    }
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  getRateLimits,
+  createRateLimiter,
+  createSharedRateLimiter
+};
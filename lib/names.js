@@ -0,0 +1,43 @@
+// Rules for the names players show under. A name is refused when any word in
+// it, or all of its words run together, is on the blocked list. Matching is
+// on whole words so ordinary names that happen to contain one aren't caught.
+
+// Used unless BLOCKED_NAME_WORDS is set to a comma-separated list of words.
+// Setting it to an empty string turns the filter off.
+const DEFAULT_BLOCKED_WORDS = [
+  'asshole', 'bastard', 'bitch', 'bollocks', 'cunt', 'dickhead', 'fag',
+  'faggot', 'fuck', 'fucker', 'fucking', 'motherfucker', 'nigga', 'nigger',
+  'prick', 'pussy', 'retard', 'shit', 'shitty', 'slut', 'twat', 'wanker',
+  'whore'
+];
+
+// Look-alike characters read as the letters they stand in for
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+function getBlockedWords() {
+  const configured = process.env.BLOCKED_NAME_WORDS;
+  if (configured === undefined) return DEFAULT_BLOCKED_WORDS;
+  return configured.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+}
+
+// Lower-case letters only, accents stripped
+function words(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+}
+
+// Whether a name passes the filter. Each check runs on the name as typed and
+// with look-alikes read as letters, so "5h1t" is caught as well as "Shit".
+function isNameAllowed(name, blockedWords = getBlockedWords()) {
+  const folded = [...name.toLowerCase()].map(char => LOOKALIKES[char] || char).join('');
+
+  return ![name, folded].some(text => {
+    const parts = words(text);
+    return [...parts, parts.join('')].some(word => blockedWords.includes(word));
+  });
+}
+
+module.exports = {
+  DEFAULT_BLOCKED_WORDS,
+  getBlockedWords,
+  isNameAllowed
+};
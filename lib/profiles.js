@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Optional player profiles with all-time stats. A profile is identified by a
+// random token the browser keeps; there is no other authentication. Records
+// are stored under the token's hash, so the stored key can't be used to act
+// as the player.
+
+// How many archived game codes a profile remembers, so a game is never
+// counted twice
+const RECENT_GAMES = 50;
+
+function generateProfileToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function profileKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createProfile(name) {
+  return {
+    name,
+    createdAt: Date.now(),
+    gamesPlayed: 0,
+    wins: 0,
+    totalScore: 0,
+    longestWord: null,
+    bestRound: null,
+    recentGames: []
+  };
+}
+
+// The profile as its owner sees it
+function toPublicProfile(profile) {
+  const { recentGames, ...publicProfile } = profile;
+  publicProfile.averageScore = profile.gamesPlayed > 0 ? Math.round(profile.totalScore / profile.gamesPlayed) : 0;
+  return publicProfile;
+}
+
+// What each profile-linked player got out of a finished game, keyed by
+// profile key. A win needs the top total (ties share it) against at least
+// one other player.
+function gameResults(game) {
+  const players = Object.entries(game.players);
+  const topScore = Math.max(...players.map(([, player]) => player.totalScore));
+
+  const results = {};
+  players.forEach(([id, player]) => {
+    if (!player.profileKey) return;
+
+    let longestWord = null;
+    let bestRound = null;
+    game.roundHistory.forEach(roundResult => {
+      const result = roundResult.scores[id];
+      if (!result) return;
+
+      result.words.forEach(({ word }) => {
+        if (!longestWord || word.length > longestWord.length) longestWord = word;
+      });
+      if (result.score > 0 && (!bestRound || result.score > bestRound.score)) {
+        bestRound = { score: result.score, letters: roundResult.letters, gameCode: game.gameCode, round: roundResult.round };
+      }
+    });
+
+    results[player.profileKey] = {
+      score: player.totalScore,
+      won: players.length > 1 && player.totalScore === topScore,
+      longestWord,
+      bestRound
+    };
+  });
+  return results;
+}
+
+// Add one game's result to a profile. Returns false if it was already counted.
+function applyGameResult(profile, gameCode, result) {
+  if (profile.recentGames.includes(gameCode)) return false;
+
+  profile.gamesPlayed += 1;
+  profile.totalScore += result.score;
+  if (result.won) profile.wins += 1;
+
+  if (result.longestWord && (!profile.longestWord || result.longestWord.length > profile.longestWord.length)) {
+    profile.longestWord = result.longestWord;
+  }
+  if (result.bestRound && (!profile.bestRound || result.bestRound.score > profile.bestRound.score)) {
+    profile.bestRound = result.bestRound;
+  }
+
+  profile.recentGames = [...profile.recentGames, gameCode].slice(-RECENT_GAMES);
+  return true;
+}
+
+module.exports = {
+  generateProfileToken,
+  profileKey,
+  createProfile,
+  toPublicProfile,
+  gameResults,
+  applyGameResult
+};
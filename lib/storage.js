@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends for game records. Every backend exposes the same
+// promise-based interface:
+//
+//   get(key)              -> record or null
+//   create(key, record)   -> true, or false if the key is already taken
+//   update(key, mutator)  -> { record, result }, or null if the key is missing
+//   list()                -> array of keys
+//   delete(key)
+//
+// update() is an atomic read-modify-write: the mutator gets a private copy of
+// the record, changes it in place and may return a result. It can run more
+// than once when a write conflicts, so it must not have side effects outside
+// the record. Throwing from the mutator aborts the update without writing,
+// and a record the mutator left unchanged is not written back.
+
+const MAX_UPDATE_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 20;
+
+// Raised when an update keeps losing compare-and-swap races
+class StorageConflictError extends Error {
+  constructor(key) {
+    super(`Too many concurrent updates to ${key}`);
+    this.name = 'StorageConflictError';
+    this.key = key;
+  }
+}
+
+// Randomized backoff so conflicting writers don't retry in lockstep
+function retryDelay(attempt) {
+  const ms = RETRY_BASE_DELAY_MS * (attempt + 1) * (0.5 + Math.random());
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Per-key mutex: run(key, fn) waits for earlier calls on the same key
+function createLocks() {
+  const tails = new Map();
+
+  return function run(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const current = previous.then(fn, fn);
+    const tail = current.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return current;
+  };
+}
+
+// Apply the mutator to a copy of a stored record and report whether it changed
+async function applyMutator(serialized, mutator) {
+  const record = JSON.parse(serialized);
+  const before = JSON.stringify(record);
+  const result = await mutator(record);
+  return { record, result, changed: JSON.stringify(record) !== before };
+}
+
+// In-memory backend; records vanish when the process exits
+function createMemoryStorage() {
+  const records = new Map();
+  const withLock = createLocks();
+
+  return {
+    async get(key) {
+      return records.has(key) ? JSON.parse(records.get(key)) : null;
+    },
+
+    async create(key, record) {
+      if (records.has(key)) return false;
+      records.set(key, JSON.stringify(record));
+      return true;
+    },
+
+    update(key, mutator) {
+      return withLock(key, async () => {
+        if (!records.has(key)) return null;
+
+        const { record, result, changed } = await applyMutator(records.get(key), mutator);
+        if (changed) records.set(key, JSON.stringify(record));
+        return { record, result };
+      });
+    },
+
+    async list() {
+      return [...records.keys()];
+    },
+
+    async delete(key) {
+      records.delete(key);
+    }
+  };
+}
+
+// Filesystem backend: one JSON file per record. Updates are serialized per key
+// within this process and written through a temp file so readers never see a
+// half-written record.
+function createFileStorage(dir) {
+  const withLock = createLocks();
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function filePath(key) {
+    return path.join(dir, `${key}.json`);
+  }
+
+  async function read(key) {
+    try {
+      return await fs.promises.readFile(filePath(key), 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function write(key, record) {
+    const tmpPath = `${filePath(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(record, null, 2));
+    await fs.promises.rename(tmpPath, filePath(key));
+  }
+
+  return {
+    async get(key) {
+      const serialized = await read(key);
+      return serialized === null ? null : JSON.parse(serialized);
+    },
+
+    create(key, record) {
+      return withLock(key, async () => {
+        if ((await read(key)) !== null) return false;
+        await write(key, record);
+        return true;
+      });
+    },
+
+    update(key, mutator) {
+      return withLock(key, async () => {
+        const serialized = await read(key);
+        if (serialized === null) return null;
+
+        const { record, result, changed } = await applyMutator(serialized, mutator);
+        if (changed) await write(key, record);
+        return { record, result };
+      });
+    },
+
+    async list() {
+      const files = await fs.promises.readdir(dir);
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    }
+  };
+}
+
+// Netlify Blobs backend. Function instances don't share memory, so updates
+// use compare-and-swap on the blob's etag and retry when another write wins.
+// Reads are strongly consistent too: the Blobs default is eventual, which
+// could miss a write made a moment before.
+function createBlobStorage(store) {
+  return {
+    get(key) {
+      return store.get(key, { type: 'json', consistency: 'strong' });
+    },
+
+    async create(key, record) {
+      const { modified } = await store.setJSON(key, record, { onlyIfNew: true });
+      return modified;
+    },
+
+    async update(key, mutator) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        if (attempt > 0) await retryDelay(attempt);
+
+        const entry = await store.getWithMetadata(key, { type: 'json', consistency: 'strong' });
+        if (!entry) return null;
+
+        const { record, result, changed } = await applyMutator(JSON.stringify(entry.data), mutator);
+        if (!changed) return { record, result };
+
+        const { modified } = await store.setJSON(key, record, { onlyIfMatch: entry.etag });
+        if (modified) return { record, result };
+      }
+      throw new StorageConflictError(key);
+    },
+
+    async list() {
+      const { blobs } = await store.list();
+      return blobs.map(blob => blob.key);
+    },
+
+    delete(key) {
+      return store.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  MAX_UPDATE_ATTEMPTS,
+  StorageConflictError,
+  createMemoryStorage,
+  createFileStorage,
+  createBlobStorage
+};
@@ -0,0 +1,87 @@
+const { GameError } = require('./engine');
+
+// Request validation. A schema maps each field to a rule:
+//
+//   { type: 'string' | 'integer' | 'boolean', optional, trim, minLength,
+//     maxLength, pattern, values, min, max }
+//
+// validate() checks an object against a schema and returns a copy with only
+// the known fields (strings trimmed where asked). Anything that doesn't fit
+// throws a 400 INVALID_INPUT GameError naming the field.
+
+const MAX_NAME_LENGTH = 20;
+const MAX_WORD_LENGTH = 32;
+
+// Rules shared by several routes
+const fields = {
+  // A room, a daily puzzle or one attempt at it
+  gameCode: { type: 'string', pattern: /^(?:[A-Z0-9]{6}|DAILY-\d{4}-\d{2}-\d{2}(?:-[0-9a-f]{12})?)$/ },
+  playerId: { type: 'string', pattern: /^player_\d+_[a-z0-9]+$/ },
+  playerName: { type: 'string', trim: true, minLength: 1, maxLength: MAX_NAME_LENGTH },
+  word: { type: 'string', trim: true, minLength: 1, maxLength: MAX_WORD_LENGTH },
+  profileToken: { type: 'string', optional: true, pattern: /^[0-9a-f]{48}$/ },
+  search: { type: 'string', optional: true, trim: true, maxLength: MAX_NAME_LENGTH }
+};
+
+function invalid(field, message) {
+  return new GameError(400, 'INVALID_INPUT', message, { field });
+}
+
+function checkField(field, rule, value) {
+  if (rule.type === 'integer') {
+    if (!Number.isInteger(value)) throw invalid(field, `${field} must be a whole number`);
+    if (rule.min !== undefined && value < rule.min) throw invalid(field, `${field} must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) throw invalid(field, `${field} must be at most ${rule.max}`);
+    return value;
+  }
+
+  if (rule.type === 'boolean') {
+    if (typeof value !== 'boolean') throw invalid(field, `${field} must be true or false`);
+    return value;
+  }
+
+  if (typeof value !== 'string') throw invalid(field, `${field} must be a string`);
+  const text = rule.trim ? value.trim() : value;
+
+  if (rule.minLength !== undefined && text.length < rule.minLength) {
+    throw invalid(field, rule.minLength === 1 ? `${field} is required` : `${field} must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+    throw invalid(field, `${field} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.pattern && !rule.pattern.test(text)) {
+    throw invalid(field, `${field} is not valid`);
+  }
+  if (rule.values && !rule.values.includes(text)) {
+    throw invalid(field, `${field} must be one of: ${rule.values.join(', ')}`);
+  }
+  return text;
+}
+
+function validate(schema, input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw invalid(null, 'Request body must be a JSON object');
+  }
+
+  Object.keys(input).forEach(field => {
+    if (!schema[field]) throw invalid(field, `Unknown field: ${field}`);
+  });
+
+  const output = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = input[field];
+    if (value === undefined || value === null) {
+      if (!rule.optional) throw invalid(field, `${field} is required`);
+      return;
+    }
+    output[field] = checkField(field, rule, value);
+  });
+  return output;
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_WORD_LENGTH,
+  fields,
+  validate
+};
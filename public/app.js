@@ -3,32 +3,175 @@ let currentView = 'home';
 let gameCode = null;
 let playerId = null;
 let playerName = null;
+let sessionToken = null;
+let isCreatingGame = false;
+let isDaily = false;
+let isSpectator = false;
+let dailyDate = null;
 let pollingInterval = null;
+let eventSource = null;
+let timerInterval = null;
 let gameStartTime = null;
 let gameDuration = 10;
+let currentRound = 0;
+let clockOffset = 0;
+let replay = null;
+// The chat and reactions last drawn, so polls only redraw when they change
+let chatSignature = null;
+
+// The current session survives a refresh in localStorage under this key
+const SESSION_KEY = 'anagram-session';
+
+// The optional profile ({ token, name }) is kept under this one
+const PROFILE_KEY = 'anagram-profile';
+
+// Reactions players can leave on each other's words; the server's list
+const REACTIONS = ['👍', '😂', '😮', '🔥', '👏'];
+
+// What to tell the player for each error code the API can return
+const ERROR_MESSAGES = {
+  INVALID_INPUT: 'That doesn\'t look right, please check and try again',
+  INVALID_SETTING: 'That setting isn\'t allowed',
+  INVALID_SESSION: 'Your session has expired, please join again',
+  INVALID_SPECTATOR_TOKEN: 'You are no longer watching this game',
+  INVALID_PROFILE: 'This browser\'s profile couldn\'t be found',
+  GAME_NOT_FOUND: 'No game with that code',
+  NOT_HOST: 'Only the host can do that',
+  GAME_ALREADY_STARTED: 'That game has already started',
+  GAME_FULL: 'That game is full',
+  GAME_LOCKED: 'The host has locked that game',
+  BANNED: 'The host has removed you from that game',
+  NAME_TAKEN: 'Someone in that game already has that name',
+  NAME_NOT_ALLOWED: 'Please pick a different name',
+  CANNOT_KICK_HOST: 'The host can\'t be removed',
+  GAME_NOT_ACTIVE: 'The round is not running',
+  NO_ROUND_TO_START: 'There is no round to start',
+  TIME_UP: 'Time is up!',
+  ATTEMPT_OVER: 'Your attempt is over',
+  DAILY_NAME_TAKEN: 'That name has already played today\'s puzzle',
+  DAILY_ALREADY_PLAYED: 'You have already played today\'s puzzle',
+  DAILY_NOT_WATCHABLE: 'The daily puzzle can\'t be watched',
+  WORD_TOO_SHORT: 'Too short',
+  LETTERS_UNAVAILABLE: 'Can\'t make that from these letters',
+  WORD_NOT_IN_DICTIONARY: 'Not in the dictionary',
+  WORD_ALREADY_SUBMITTED: 'Already found',
+  WORD_FOUND_BY_TEAM: 'Already found by your team',
+  TEAMS_DISABLED: 'This game isn\'t played in teams',
+  CHAT_CLOSED: 'Chat is closed while the round is on',
+  OWN_WORD: 'You can\'t react to your own words',
+  WORD_NOT_FOUND: 'That word isn\'t in that round',
+  RATE_LIMITED: 'Slow down a little and try again',
+  GAME_BUSY: 'The game is busy, please try again'
+};
+
+// The message to show for an error response body
+function errorMessage(data, fallback) {
+  const error = data && data.error;
+  if (!error) return fallback;
+
+  if (error.code === 'WORD_TOO_SHORT' && error.minWordLength) {
+    return `Words need at least ${error.minWordLength} letters`;
+  }
+  if (error.code === 'INVALID_INPUT' && error.field === 'playerName') {
+    return 'Please enter a name of up to 20 characters';
+  }
+  if (error.code === 'INVALID_INPUT' && error.field === 'text') {
+    return 'Messages can be up to 200 characters';
+  }
+  return ERROR_MESSAGES[error.code] || fallback;
+}
 
 // DOM elements
 const views = {
   home: document.getElementById('home-view'),
   lobby: document.getElementById('lobby-view'),
   game: document.getElementById('game-view'),
-  results: document.getElementById('results-view')
+  intermission: document.getElementById('intermission-view'),
+  results: document.getElementById('results-view'),
+  daily: document.getElementById('daily-view'),
+  spectator: document.getElementById('spectator-view'),
+  profile: document.getElementById('profile-view'),
+  archive: document.getElementById('archive-view'),
+  replay: document.getElementById('replay-view')
 };
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   setupEventListeners();
   showView('home');
+  loadDictionaries();
+  openScreenLink();
+  restoreSession();
 });
 
+// Fill the dictionary menu with the word lists the server has
+async function loadDictionaries() {
+  try {
+    const response = await fetch('/api/dictionaries');
+    const { dictionaries } = await response.json();
+
+    const select = document.querySelector('[data-setting="dictionary"]');
+    const selected = select.value;
+    select.innerHTML = '';
+    dictionaries.forEach(({ id, name }) => select.add(new Option(name, id)));
+    if (selected) select.value = selected;
+  } catch (error) {
+    console.error('Error loading dictionaries:', error);
+  }
+}
+
 // Event listeners
 function setupEventListeners() {
   document.getElementById('create-game-btn').addEventListener('click', createGame);
+  document.getElementById('daily-btn').addEventListener('click', playDaily);
+  document.getElementById('daily-home-btn').addEventListener('click', () => {
+    resetGame();
+    showView('home');
+  });
   document.getElementById('join-game-btn').addEventListener('click', () => {
     const code = document.getElementById('join-code-input').value.trim().toUpperCase();
     if (code) joinGame(code);
   });
+  document.getElementById('watch-game-btn').addEventListener('click', () => {
+    const code = document.getElementById('join-code-input').value.trim().toUpperCase();
+    if (code) watchGame(code);
+  });
+  document.getElementById('profile-btn').addEventListener('click', showProfile);
+  document.getElementById('create-profile-btn').addEventListener('click', createProfile);
+  document.getElementById('forget-profile-btn').addEventListener('click', forgetProfile);
+  document.getElementById('profile-home-btn').addEventListener('click', () => showView('home'));
+  document.getElementById('archive-btn').addEventListener('click', showArchive);
+  document.getElementById('archive-search-btn').addEventListener('click', searchArchive);
+  document.getElementById('archive-search-input').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') searchArchive();
+  });
+  document.getElementById('archive-home-btn').addEventListener('click', () => showView('home'));
+  document.getElementById('results-replay-btn').addEventListener('click', () => showReplay(gameCode));
+  document.getElementById('replay-round').addEventListener('change', (e) => selectReplayRound(parseInt(e.target.value, 10)));
+  document.getElementById('replay-slider').addEventListener('input', (e) => {
+    pauseReplay();
+    showReplayStep(parseInt(e.target.value, 10));
+  });
+  document.getElementById('replay-play-btn').addEventListener('click', toggleReplay);
+  document.getElementById('replay-back-btn').addEventListener('click', () => {
+    pauseReplay();
+    showArchive();
+  });
+  document.getElementById('spectator-leave-btn').addEventListener('click', () => {
+    resetGame();
+    showView('home');
+  });
   document.getElementById('start-game-btn').addEventListener('click', startGame);
+  document.getElementById('shuffle-teams-btn').addEventListener('click', shuffleTeams);
+  document.getElementById('lock-game-btn').addEventListener('click', toggleLock);
+  document.getElementById('screen-link-btn').addEventListener('click', shareScreenLink);
+  document.getElementById('add-bot-btn').addEventListener('click', () => {
+    addBot(document.getElementById('bot-difficulty').value);
+  });
+  document.getElementById('next-round-btn').addEventListener('click', startNextRound);
+  document.querySelectorAll('[data-setting]').forEach(input => {
+    input.addEventListener('change', () => changeSetting(input.dataset.setting, input.value));
+  });
   document.getElementById('add-word-btn').addEventListener('click', addWord);
   document.getElementById('word-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') addWord();
@@ -37,129 +180,948 @@ function setupEventListeners() {
     resetGame();
     showView('home');
   });
-  document.getElementById('submit-name-btn').addEventListener('click', submitName);
+  document.querySelectorAll('.chat-panel').forEach(panel => {
+    const input = panel.querySelector('.chat-text');
+    panel.querySelector('.chat-send').addEventListener('click', () => sendChat(input));
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') sendChat(input);
+    });
+  });
+  document.getElementById('submit-name-btn').addEventListener('click', () => submitName());
   document.getElementById('player-name-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') submitName();
   });
 }
 
-// View management
-function showView(viewName) {
-  Object.keys(views).forEach(key => {
-    views[key].classList.add('hidden');
-  });
-  views[viewName].classList.remove('hidden');
-  currentView = viewName;
+// View management
+function showView(viewName) {
+  Object.keys(views).forEach(key => {
+    views[key].classList.add('hidden');
+  });
+  views[viewName].classList.remove('hidden');
+  currentView = viewName;
+
+  // Stop live updates when leaving the match
+  if (!['lobby', 'game', 'intermission', 'results', 'spectator'].includes(viewName)) {
+    unsubscribeFromGame();
+  }
+  if (viewName !== 'game' && viewName !== 'spectator') {
+    stopTimer();
+  }
+}
+
+// Create new game; the game is made once the host enters their name
+function createGame() {
+  isCreatingGame = true;
+  isDaily = false;
+  gameCode = null;
+  showNameModal();
+}
+
+// Join existing game
+function joinGame(code) {
+  isCreatingGame = false;
+  isDaily = false;
+  gameCode = code;
+  showNameModal();
+}
+
+// Watch a game on a shared screen without joining it
+async function watchGame(code) {
+  try {
+    const response = await fetch(`/api/games/${code}/spectate`, { method: 'POST' });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to watch game'));
+      return;
+    }
+
+    isSpectator = true;
+    isDaily = false;
+    gameCode = data.game.gameCode;
+    sessionToken = data.spectatorToken;
+    saveSession();
+
+    showSpectatorView(data.game);
+    subscribeToGame();
+  } catch (error) {
+    alert('Error watching game: ' + error.message);
+  }
+}
+
+// The attempt ({ gameCode, sessionToken }) this browser made at a day's
+// puzzle, or null
+function loadDailyAttempt(date) {
+  try {
+    return JSON.parse(localStorage.getItem(`daily-${date}`));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Play today's puzzle, or show its leaderboard if this browser already has
+async function playDaily() {
+  try {
+    const response = await fetch('/api/daily');
+    const data = await response.json();
+
+    const attempt = loadDailyAttempt(data.date);
+    if (attempt) {
+      gameCode = attempt.gameCode;
+      sessionToken = attempt.sessionToken;
+      finishDaily();
+      return;
+    }
+
+    isCreatingGame = false;
+    isDaily = true;
+    gameCode = data.gameCode;
+    dailyDate = data.date;
+    showNameModal();
+  } catch (error) {
+    alert('Error loading daily puzzle: ' + error.message);
+  }
+}
+
+// Headers for calls made with this player's session
+function authHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${sessionToken}`
+  };
+}
+
+// Remember the session so a refresh can pick it back up
+function saveSession() {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({
+    gameCode,
+    playerId,
+    playerName,
+    sessionToken,
+    isDaily,
+    dailyDate,
+    isSpectator
+  }));
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// A screen link from the host: save it as this browser's session for
+// restoreSession to pick up, and take it out of the address bar
+function openScreenLink() {
+  const match = location.hash.match(/^#watch=([A-Z0-9-]+)\.([0-9a-f]+)$/);
+  if (!match) return;
+
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ gameCode: match[1], sessionToken: match[2], isSpectator: true }));
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Rejoin the game this browser was playing before it was refreshed or lost
+// its connection, and go back to wherever that game is now
+async function restoreSession() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    clearSession();
+  }
+  if (!saved) return;
+
+  try {
+    // Spectators just fetch their view again
+    const response = await fetch(`/api/games/${saved.gameCode}/${saved.isSpectator ? 'spectate' : 'rejoin'}`, {
+      method: saved.isSpectator ? 'GET' : 'POST',
+      headers: { 'Authorization': `Bearer ${saved.sessionToken}` }
+    });
+
+    // The game is gone or no longer knows this session
+    if (!response.ok) {
+      clearSession();
+      return;
+    }
+
+    const data = await response.json();
+    ({ gameCode, playerId, playerName, sessionToken, isDaily, dailyDate } = saved);
+    isSpectator = Boolean(saved.isSpectator);
+
+    if (isSpectator) {
+      showSpectatorView(data);
+      subscribeToGame();
+      return;
+    }
+    showGameState(data.game);
+  } catch (error) {
+    // Keep the session so the next reload can try again
+    console.error('Error rejoining game:', error);
+  }
+}
+
+// Show the view for a game's current status
+function showGameState(game) {
+  if (isDaily) {
+    const player = game.players[playerId];
+    syncClock(game);
+    if ((serverNow() - player.startTime) / 1000 < game.settings.duration) {
+      showGameView({ ...game, startTime: player.startTime });
+    } else {
+      finishDaily();
+    }
+    return;
+  }
+
+  if (game.status === 'waiting') {
+    showLobby(game);
+    return;
+  }
+
+  if (game.status === 'active') {
+    showGameView(game);
+  } else if (game.status === 'intermission') {
+    showIntermission(game);
+  } else {
+    showResults(game);
+  }
+  subscribeToGame();
+}
+
+// The profile this browser plays under, or null
+function loadProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Show the profile page: stats if this browser has a profile, otherwise the
+// form to make one
+async function showProfile() {
+  const profile = loadProfile();
+  document.getElementById('profile-create').classList.toggle('hidden', Boolean(profile));
+  document.getElementById('profile-stats').classList.toggle('hidden', !profile);
+  showView('profile');
+  if (!profile) return;
+
+  try {
+    const response = await fetch('/api/profile', {
+      headers: { 'Authorization': `Bearer ${profile.token}` }
+    });
+    const data = await response.json();
+
+    // The token is kept even if the server turns it away: it is the only way
+    // back to the stats, and only Forget Profile should throw it out
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to load profile'));
+      return;
+    }
+    renderProfile(data);
+  } catch (error) {
+    alert('Error loading profile: ' + error.message);
+  }
+}
+
+function renderProfile(profile) {
+  document.getElementById('profile-name').textContent = profile.name;
+  document.getElementById('stat-games').textContent = profile.gamesPlayed;
+  document.getElementById('stat-wins').textContent = profile.wins;
+  document.getElementById('stat-average').textContent = profile.averageScore;
+  document.getElementById('stat-longest').textContent = profile.longestWord || '-';
+
+  const best = profile.bestRound;
+  document.getElementById('stat-best-round').textContent = best ? best.score : '-';
+  document.getElementById('stat-best-round-detail').textContent = best
+    ? `${best.letters.split('').join(' ')} (game ${best.gameCode}, round ${best.round})`
+    : '';
+}
+
+async function createProfile() {
+  const name = document.getElementById('profile-name-input').value.trim();
+  if (!name) {
+    alert('Please enter your name');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/profiles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to create profile'));
+      return;
+    }
+
+    localStorage.setItem(PROFILE_KEY, JSON.stringify({ token: data.profileToken, name: data.profile.name }));
+    document.getElementById('profile-name-input').value = '';
+    showProfile();
+  } catch (error) {
+    alert('Error creating profile: ' + error.message);
+  }
+}
+
+// Past games, newest first. Opens with no search, which lists everything.
+function showArchive() {
+  showView('archive');
+  searchArchive();
+}
+
+async function searchArchive() {
+  const query = document.getElementById('archive-search-input').value.trim();
+  const list = document.getElementById('archive-list');
+
+  try {
+    const response = await fetch(`/api/archive?q=${encodeURIComponent(query)}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to search past games'));
+      return;
+    }
+
+    list.innerHTML = '';
+    if (data.games.length === 0) {
+      list.textContent = 'No past games found';
+      return;
+    }
+
+    data.games.forEach(summary => {
+      const entry = document.createElement('div');
+      entry.className = 'archive-entry';
+
+      const title = document.createElement('span');
+      title.textContent = `${summary.gameCode} - ${new Date(summary.finishedAt).toLocaleString()}`;
+
+      const players = document.createElement('span');
+      players.className = 'archive-players';
+      players.textContent = summary.players.map(player => `${player.name} ${player.totalScore}`).join(', ');
+
+      entry.appendChild(title);
+      entry.appendChild(players);
+      entry.addEventListener('click', () => showReplay(summary.gameCode));
+      list.appendChild(entry);
+    });
+  } catch (error) {
+    alert('Error searching past games: ' + error.message);
+  }
+}
+
+// Step through an archived game's word events, one round at a time
+async function showReplay(code) {
+  try {
+    const response = await fetch(`/api/archive/${code}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to load that game'));
+      return;
+    }
+
+    replay = { game: data, events: [], step: 0, timer: null };
+
+    document.getElementById('replay-code').textContent = code;
+    document.getElementById('replay-export-json').href = `/api/archive/${code}/export?format=json`;
+    document.getElementById('replay-export-csv').href = `/api/archive/${code}/export?format=csv`;
+
+    const select = document.getElementById('replay-round');
+    select.innerHTML = '';
+    data.roundHistory.forEach(roundResult => {
+      select.add(new Option(`Round ${roundResult.round}`, roundResult.round));
+    });
+
+    showView('replay');
+    if (data.roundHistory.length > 0) selectReplayRound(data.roundHistory[0].round);
+  } catch (error) {
+    alert('Error loading that game: ' + error.message);
+  }
+}
+
+function selectReplayRound(round) {
+  pauseReplay();
+
+  const roundResult = replay.game.roundHistory.find(result => result.round === round);
+  replay.roundResult = roundResult;
+  replay.events = replay.game.log.filter(event => event.round === round);
+
+  document.getElementById('replay-letters').textContent = roundResult.letters.split('').join(' ');
+  document.getElementById('replay-slider').max = replay.events.length;
+  showReplayStep(0);
+}
+
+// Show the round as it stood after the first `step` events
+function showReplayStep(step) {
+  replay.step = step;
+  document.getElementById('replay-slider').value = step;
+
+  const startTime = replay.roundResult.startTime;
+  const words = {};
+  Object.keys(replay.game.players).forEach(id => {
+    words[id] = [];
+  });
+
+  replay.events.slice(0, step).forEach(event => {
+    const found = words[event.playerId] || (words[event.playerId] = []);
+    if (event.type === 'submit') {
+      found.push({ word: event.word, points: event.points, elapsedMs: event.at - startTime });
+    } else {
+      const index = found.findIndex(wordObj => wordObj.word === event.word);
+      if (index !== -1) found.splice(index, 1);
+    }
+  });
+
+  const lastEvent = replay.events[step - 1];
+  document.getElementById('replay-clock').textContent = formatElapsed(lastEvent ? lastEvent.at - startTime : 0);
+
+  renderLeaderboard(document.getElementById('replay-players'), Object.entries(words).map(([id, found]) => ({
+    name: playerNameFor(replay.game, id),
+    score: found.reduce((sum, wordObj) => sum + wordObj.points, 0),
+    words: found
+  })));
+}
+
+function toggleReplay() {
+  if (replay.timer) {
+    pauseReplay();
+    return;
+  }
+
+  // Playing from the end starts the round over
+  if (replay.step >= replay.events.length) showReplayStep(0);
+
+  document.getElementById('replay-play-btn').textContent = 'Pause';
+  replay.timer = setInterval(() => {
+    if (replay.step >= replay.events.length) {
+      pauseReplay();
+      return;
+    }
+    showReplayStep(replay.step + 1);
+  }, 700);
+}
+
+function pauseReplay() {
+  if (!replay || !replay.timer) return;
+  clearInterval(replay.timer);
+  replay.timer = null;
+  document.getElementById('replay-play-btn').textContent = 'Play';
+}
+
+function formatElapsed(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Stop playing under the profile. Its stats stay on the server, but without
+// the token nobody can reach them.
+function forgetProfile() {
+  localStorage.removeItem(PROFILE_KEY);
+  showProfile();
+}
+
+// Show name input modal, filled in with the profile's name if there is one
+function showNameModal() {
+  const nameInput = document.getElementById('player-name-input');
+  const profile = loadProfile();
+  if (profile && !nameInput.value) nameInput.value = profile.name;
+
+  document.getElementById('name-modal').classList.remove('hidden');
+  nameInput.focus();
+}
+
+// Submit player name and create or join the game, under this browser's
+// profile unless withProfile is false
+async function submitName(withProfile = true) {
+  const nameInput = document.getElementById('player-name-input');
+  const name = nameInput.value.trim();
+
+  if (!name) {
+    alert('Please enter your name');
+    return;
+  }
+
+  const url = isCreatingGame ? '/api/games' : `/api/games/${gameCode}/join`;
+
+  // Games played under a profile count towards its stats
+  const body = { playerName: name };
+  const profile = loadProfile();
+  if (profile && withProfile) body.profileToken = profile.token;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+
+      // A profile the server doesn't know: join without it this time, but
+      // keep the token in case the server only missed it for now
+      if (withProfile && data.error && data.error.code === 'INVALID_PROFILE') {
+        return submitName(false);
+      }
+
+      alert(errorMessage(data, isCreatingGame ? 'Failed to create game' : 'Failed to join game'));
+      return;
+    }
+
+    const data = await response.json();
+    gameCode = data.game.gameCode;
+    playerId = data.playerId;
+    sessionToken = data.sessionToken;
+    playerName = name;
+    saveSession();
+
+    document.getElementById('name-modal').classList.add('hidden');
+    nameInput.value = '';
+
+    if (isDaily) {
+      // One attempt per day; the clock starts on joining
+      localStorage.setItem(`daily-${dailyDate}`, JSON.stringify({ gameCode, sessionToken }));
+      showGameView({ ...data.game, startTime: data.game.players[playerId].startTime });
+      return;
+    }
+
+    showLobby(data.game);
+  } catch (error) {
+    alert('Error joining game: ' + error.message);
+  }
+}
+
+// Show lobby
+function showLobby(game) {
+  document.getElementById('lobby-game-code').textContent = game.gameCode;
+
+  // Only the host can start; everyone else waits for them
+  const isHost = game.hostId === playerId;
+  document.getElementById('start-game-btn').classList.toggle('hidden', !isHost);
+  document.getElementById('lobby-hint').classList.toggle('hidden', isHost);
+
+  updateLobby(game);
+  showView('lobby');
+  renderChat(game);
+  subscribeToGame();
+}
+
+// Refresh everything in the lobby that can change before the start
+function updateLobby(game) {
+  document.getElementById('lobby-letters').textContent = game.letters.split('').join(' ');
+  updateSettingsForm(game);
+  updatePlayersList(game);
+
+  const isHost = game.hostId === playerId;
+  const lockBtn = document.getElementById('lock-game-btn');
+  lockBtn.classList.toggle('hidden', !isHost);
+  document.getElementById('screen-link-btn').classList.toggle('hidden', !isHost);
+  lockBtn.textContent = game.locked ? 'Unlock Room' : 'Lock Room';
+  document.getElementById('lobby-locked').classList.toggle('hidden', !game.locked);
+}
+
+// Draw the chat into every chat panel. Only the one on screen can scroll, so
+// call this after showing the view. Between rounds the host can remove
+// players from here, as the lobby's player list is gone.
+function renderChat(game) {
+  const canRemove = game.hostId === playerId && game.status !== 'waiting';
+
+  document.querySelectorAll('.chat-messages').forEach(list => {
+    list.innerHTML = '';
+    (game.chat || []).forEach(message => {
+      const li = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.className = 'chat-name';
+      name.textContent = message.name;
+
+      li.appendChild(name);
+      li.appendChild(document.createTextNode(message.text));
+
+      const sender = game.players[message.playerId];
+      if (canRemove && message.playerId !== playerId && sender && !sender.removed) {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'remove-word-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => kickPlayer(message.playerId, false));
+        li.appendChild(removeBtn);
+      }
+      list.appendChild(li);
+    });
+    list.scrollTop = list.scrollHeight;
+  });
+}
+
+async function sendChat(input) {
+  const text = input.value.trim();
+  if (!text) return;
+
+  try {
+    const response = await fetch(`/api/games/${gameCode}/chat`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ text })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to send the message'));
+      return;
+    }
+    input.value = '';
+    handleGameEvent('chat', data);
+  } catch (error) {
+    alert('Error sending the message: ' + error.message);
+  }
+}
+
+// Add or take back a reaction to another player's word from a past round
+async function reactToWord(round, id, word, emoji) {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/reactions`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ round, playerId: id, word, emoji })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to react'));
+      return;
+    }
+    handleGameEvent('chat', data);
+  } catch (error) {
+    alert('Error reacting: ' + error.message);
+  }
+}
+
+// Show the room settings; only the host can change them
+function updateSettingsForm(game) {
+  const isHost = game.hostId === playerId;
+
+  document.querySelectorAll('[data-setting]').forEach(select => {
+    const value = String(game.settings[select.dataset.setting]);
+
+    // Server defaults may fall outside the preset choices
+    if (![...select.options].some(option => option.value === value)) {
+      select.add(new Option(value, value));
+    }
+
+    select.value = value;
+    select.disabled = !isHost;
+  });
+}
+
+// Send one changed setting to the server
+async function changeSetting(name, value) {
+  const isNumeric = !['scoring', 'difficulty', 'dictionary', 'spectatorWords', 'sharedWords'].includes(name);
+  const settings = { [name]: isNumeric ? parseInt(value, 10) : value };
+
+  try {
+    const response = await fetch(`/api/games/${gameCode}/settings`, {
+      method: 'PUT',
+      headers: authHeaders(),
+      body: JSON.stringify(settings)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to change settings'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error changing settings: ' + error.message);
+  }
+}
+
+// Update players list. In team games the host picks each player's team.
+function updatePlayersList(game) {
+  const playersList = document.getElementById('players-list');
+  const playerCount = document.getElementById('player-count');
+  const count = Object.keys(game.players).length;
+  const isHost = game.hostId === playerId;
+  const teams = game.settings.teams;
+
+  playerCount.textContent = count;
+  playersList.innerHTML = '';
+  document.getElementById('shuffle-teams-btn').classList.toggle('hidden', !isHost || !teams);
+  document.getElementById('add-bot-section').classList.toggle('hidden', !isHost);
+
+  Object.entries(game.players).forEach(([id, player]) => {
+    const li = document.createElement('li');
+    li.textContent = id === game.hostId ? `${player.name} (host)` : player.name;
+    li.classList.toggle('disconnected', !player.connected);
+    if (!player.connected) li.title = 'Disconnected';
+
+    if (teams && isHost) {
+      const select = document.createElement('select');
+      select.className = 'team-select';
+      for (let team = 1; team <= teams; team++) {
+        select.add(new Option(`Team ${team}`, team));
+      }
+      select.value = String(player.team);
+      select.addEventListener('change', () => assignTeam(id, parseInt(select.value, 10)));
+      li.appendChild(select);
+    } else if (teams) {
+      li.textContent += ` - Team ${player.team}`;
+    }
+
+    if (player.bot && isHost) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-word-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => removeBot(id));
+      li.appendChild(removeBtn);
+    } else if (isHost && id !== game.hostId) {
+      const actions = [
+        ['Rename', () => renamePlayer(id, player.name)],
+        ['Kick', () => kickPlayer(id, false)],
+        ['Ban', () => kickPlayer(id, true)]
+      ];
+      actions.forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.className = 'remove-word-btn';
+        button.textContent = label;
+        button.addEventListener('click', action);
+        li.appendChild(button);
+      });
+    }
+
+    playersList.appendChild(li);
+  });
+}
+
+// Add a computer player at a difficulty (host only)
+async function addBot(difficulty) {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/bots`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ difficulty })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to add a bot'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error adding a bot: ' + error.message);
+  }
+}
+
+async function removeBot(id) {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/bots`, {
+      method: 'DELETE',
+      headers: authHeaders(),
+      body: JSON.stringify({ playerId: id })
+    });
 
-  // Stop polling when leaving game/lobby views
-  if (viewName !== 'lobby' && viewName !== 'game') {
-    stopPolling();
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to remove the bot'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error removing the bot: ' + error.message);
   }
 }
 
-// Create new game
-async function createGame() {
+// Remove a player; a banned player can't come back (host only)
+async function kickPlayer(id, ban) {
   try {
-    const response = await fetch('/api/games', { method: 'POST' });
+    const response = await fetch(`/api/games/${gameCode}/kick`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ playerId: id, ban })
+    });
+
     const data = await response.json();
-    gameCode = data.gameCode;
-    showNameModal();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to remove the player'));
+      return;
+    }
+    if (currentView === 'lobby') {
+      updateLobby(data);
+    } else {
+      renderChat(data);
+    }
   } catch (error) {
-    alert('Error creating game: ' + error.message);
+    alert('Error removing the player: ' + error.message);
   }
 }
 
-// Join existing game
-function joinGame(code) {
-  gameCode = code;
-  showNameModal();
-}
+// Give a player a new name (host only)
+async function renamePlayer(id, currentName) {
+  const name = prompt('New name for this player', currentName);
+  if (!name || !name.trim()) return;
 
-// Show name input modal
-function showNameModal() {
-  document.getElementById('name-modal').classList.remove('hidden');
-  document.getElementById('player-name-input').focus();
+  try {
+    const response = await fetch(`/api/games/${gameCode}/rename`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({ playerId: id, playerName: name.trim() })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to rename the player'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error renaming the player: ' + error.message);
+  }
 }
 
-// Submit player name and join game
-async function submitName() {
-  const nameInput = document.getElementById('player-name-input');
-  const name = nameInput.value.trim();
+// Stop or allow new players joining (host only)
+async function toggleLock() {
+  const locked = !document.getElementById('lobby-locked').classList.contains('hidden');
 
-  if (!name) {
-    alert('Please enter your name');
-    return;
+  try {
+    const response = await fetch(`/api/games/${gameCode}/lock`, {
+      method: 'PUT',
+      headers: authHeaders(),
+      body: JSON.stringify({ locked: !locked })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to lock the room'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error locking the room: ' + error.message);
   }
+}
 
+// Give the host a link that opens this game on a shared screen. Only screens
+// opened this way show words live, when the room is set to.
+async function shareScreenLink() {
   try {
-    const response = await fetch(`/api/games/${gameCode}/join`, {
+    const response = await fetch(`/api/games/${gameCode}/spectate`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerName: name })
+      headers: authHeaders()
     });
 
+    const data = await response.json();
     if (!response.ok) {
-      const error = await response.json();
-      alert(error.error || 'Failed to join game');
+      alert(errorMessage(data, 'Failed to make a screen link'));
       return;
     }
+    const link = `${location.origin}${location.pathname}#watch=${gameCode}.${data.spectatorToken}`;
+    prompt('Open this link on the shared screen', link);
+  } catch (error) {
+    alert('Error making a screen link: ' + error.message);
+  }
+}
 
-    const data = await response.json();
-    playerId = data.playerId;
-    playerName = name;
-
-    document.getElementById('name-modal').classList.add('hidden');
-    nameInput.value = '';
+// Move a player onto a team (host only)
+async function assignTeam(id, team) {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/teams`, {
+      method: 'PUT',
+      headers: authHeaders(),
+      body: JSON.stringify({ playerId: id, team })
+    });
 
-    showLobby(data.game);
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to change teams'));
+      return;
+    }
+    updateLobby(data);
   } catch (error) {
-    alert('Error joining game: ' + error.message);
+    alert('Error changing teams: ' + error.message);
   }
 }
 
-// Show lobby
-function showLobby(game) {
-  document.getElementById('lobby-game-code').textContent = game.gameCode;
-  document.getElementById('lobby-letters').textContent = game.letters.split('').join(' ');
-  updatePlayersList(game.players);
-  showView('lobby');
-  startPolling();
+// Deal everyone onto even teams (host only)
+async function shuffleTeams() {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/teams/shuffle`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(errorMessage(data, 'Failed to shuffle teams'));
+      return;
+    }
+    updateLobby(data);
+  } catch (error) {
+    alert('Error shuffling teams: ' + error.message);
+  }
 }
 
-// Update players list
-function updatePlayersList(players) {
-  const playersList = document.getElementById('players-list');
-  const playerCount = document.getElementById('player-count');
-  const count = Object.keys(players).length;
+// Who is still connected during a round
+function updateGamePlayers(game) {
+  const list = document.getElementById('game-players');
+  list.innerHTML = '';
 
-  playerCount.textContent = count;
-  playersList.innerHTML = '';
+  // Daily players each play alone
+  list.classList.toggle('hidden', isDaily);
+  if (isDaily) return;
 
-  Object.values(players).forEach(player => {
+  const me = game.players[playerId];
+  Object.entries(game.players).forEach(([id, player]) => {
     const li = document.createElement('li');
-    li.textContent = player.name;
-    playersList.appendChild(li);
+    li.className = 'presence';
+    li.textContent = id === playerId ? `${player.name} (you)` : player.name;
+    if (id !== playerId && game.settings.teams && me && player.team === me.team) {
+      li.textContent += ' (teammate)';
+    }
+    li.classList.toggle('disconnected', !player.connected);
+    if (!player.connected) li.title = 'Disconnected';
+    list.appendChild(li);
   });
 }
 
 // Start game
 async function startGame() {
   try {
-    const response = await fetch(`/api/games/${gameCode}/start`, { method: 'POST' });
+    const response = await fetch(`/api/games/${gameCode}/start`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
     if (!response.ok) {
-      const error = await response.json();
-      alert(error.error || 'Failed to start game');
+      alert(errorMessage(await response.json(), 'Failed to start game'));
     }
   } catch (error) {
     alert('Error starting game: ' + error.message);
   }
 }
 
+// Start the next round of the match
+async function startNextRound() {
+  try {
+    const response = await fetch(`/api/games/${gameCode}/next-round`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+    if (!response.ok) {
+      alert(errorMessage(await response.json(), 'Failed to start next round'));
+    }
+  } catch (error) {
+    alert('Error starting next round: ' + error.message);
+  }
+}
+
 // Show game view
 function showGameView(game) {
+  syncClock(game);
   document.getElementById('game-letters').textContent = game.letters.split('').join(' ');
+  document.getElementById('game-round').textContent = `${game.round}/${game.settings.rounds}`;
+  currentRound = game.round;
   gameStartTime = game.startTime;
-  gameDuration = game.duration;
+  gameDuration = game.settings.duration;
 
   // Reset input and words
   const wordInput = document.getElementById('word-input');
@@ -173,24 +1135,62 @@ function showGameView(game) {
   document.getElementById('current-score').textContent = '0';
 
   updatePlayerWords(game.players[playerId]);
+  updateGamePlayers(game);
   showView('game');
+  startTimer();
 
   // Focus input
   wordInput.focus();
 }
 
+// Count down locally between updates
+function startTimer() {
+  stopTimer();
+  updateTimer();
+  timerInterval = setInterval(updateTimer, 250);
+}
+
+function stopTimer() {
+  if (timerInterval) {
+    clearInterval(timerInterval);
+    timerInterval = null;
+  }
+}
+
+// Track how far the device clock is from the server's, from the serverTime
+// stamped on every game we receive
+function syncClock(game) {
+  if (game && game.serverTime) clockOffset = game.serverTime - Date.now();
+}
+
+// The time on the server's clock
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
 // Update timer
-function updateTimer(game) {
-  if (game.status !== 'active' || !game.startTime) return;
+function updateTimer() {
+  if (!gameStartTime) return;
 
-  const elapsed = (Date.now() - game.startTime) / 1000;
-  const remaining = Math.max(0, Math.ceil(game.duration - elapsed));
+  const elapsed = (serverNow() - gameStartTime) / 1000;
+  const remaining = Math.max(0, Math.ceil(gameDuration - elapsed));
+
+  if (isSpectator) {
+    document.getElementById('spectator-timer').textContent = remaining;
+    return;
+  }
 
   document.getElementById('timer').textContent = remaining;
 
   if (remaining === 0) {
     document.getElementById('word-input').disabled = true;
     document.getElementById('add-word-btn').disabled = true;
+
+    // The daily puzzle has no round end to wait for
+    if (isDaily) {
+      stopTimer();
+      finishDaily();
+    }
   }
 }
 
@@ -204,18 +1204,19 @@ async function addWord() {
   try {
     const response = await fetch(`/api/games/${gameCode}/words`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerId, word })
+      headers: authHeaders(),
+      body: JSON.stringify({ word })
     });
 
     const data = await response.json();
 
-    if (data.valid) {
+    if (response.ok) {
       showFeedback(`✓ ${word} (+${data.points} points)`, 'success');
       input.value = '';
-      // Words will update via polling
+      if (isDaily) refreshDailyWords();
+      // Words will update via the next game update
     } else {
-      showFeedback(`✗ ${data.reason}`, 'error');
+      showFeedback(`✗ ${errorMessage(data, 'Word not accepted')}`, 'error');
     }
   } catch (error) {
     showFeedback('Error adding word', 'error');
@@ -272,28 +1273,66 @@ async function removeWord(word) {
   try {
     await fetch(`/api/games/${gameCode}/words`, {
       method: 'DELETE',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ playerId, word })
+      headers: authHeaders(),
+      body: JSON.stringify({ word })
     });
-    // Words will update via polling
+    if (isDaily) refreshDailyWords();
+    // Words will update via the next game update
   } catch (error) {
     console.error('Error removing word:', error);
   }
 }
 
-// Show results
-function showResults(game) {
-  document.getElementById('results-letters').textContent = game.letters.split('').join(' ');
+// The daily puzzle gets no pushed updates, so fetch this player's words
+async function refreshDailyWords() {
+  try {
+    const response = await fetch(`/api/games/${gameCode}`, { headers: authHeaders() });
+    const game = await response.json();
+    updatePlayerWords(game.players[playerId]);
+  } catch (error) {
+    console.error('Error refreshing words:', error);
+  }
+}
+
+// Today's leaderboard, with this player's attempt counted in
+async function finishDaily() {
+  try {
+    const response = await fetch(`/api/daily?attempt=${encodeURIComponent(gameCode)}`, { headers: authHeaders() });
+    if (!response.ok) {
+      // The attempt is gone, e.g. cleaned up; the leaderboard is still there
+      showDailyResults(await (await fetch('/api/daily')).json());
+      return;
+    }
+    showDailyResults(await response.json());
+  } catch (error) {
+    alert('Error loading daily leaderboard: ' + error.message);
+  }
+}
+
+// Show the daily puzzle leaderboard
+function showDailyResults(data) {
+  document.getElementById('daily-date').textContent = data.date;
+  document.getElementById('daily-letters').textContent = data.letters.split('').join(' ');
+
+  const entries = data.leaderboard.map(entry => ({
+    name: `${entry.name} (${entry.wordCount} words)`,
+    score: entry.score
+  }));
+  renderLeaderboard(document.getElementById('daily-leaderboard'), entries);
+
+  const you = document.getElementById('daily-you');
+  you.classList.toggle('hidden', !data.you);
+  if (data.you) you.textContent = `Your score: ${data.you.score} (${data.you.wordCount} words)`;
 
-  // Sort players by score
-  const sortedPlayers = Object.entries(game.players)
-    .map(([id, player]) => ({ ...player, id }))
-    .sort((a, b) => b.score - a.score);
+  showView('daily');
+}
 
-  const leaderboard = document.getElementById('leaderboard-list');
-  leaderboard.innerHTML = '';
+// Render ranked entries ({ name, score, words, percent, adjustment,
+// reactions, onReact }) into a leaderboard list
+function renderLeaderboard(container, entries) {
+  container.innerHTML = '';
 
-  sortedPlayers.forEach((player, index) => {
+  entries.sort((a, b) => b.score - a.score).forEach((entry, index) => {
     const div = document.createElement('div');
     div.className = 'player-result';
     if (index === 0) div.classList.add('first-place');
@@ -303,34 +1342,426 @@ function showResults(game) {
 
     const nameSpan = document.createElement('span');
     nameSpan.className = 'player-name';
-    nameSpan.textContent = `${index + 1}. ${player.name}`;
+    nameSpan.textContent = `${index + 1}. ${entry.name}`;
 
     const scoreSpan = document.createElement('span');
     scoreSpan.className = 'player-score';
-    scoreSpan.textContent = player.score;
+    scoreSpan.textContent = entry.score;
+
+    // Share of everything the rack was worth
+    if (entry.percent !== undefined) {
+      const percentSpan = document.createElement('span');
+      percentSpan.className = 'player-percent';
+      percentSpan.textContent = `${entry.percent}%`;
+      scoreSpan.appendChild(percentSpan);
+    }
+
+    // Points lost to words other players found too
+    if (entry.adjustment) {
+      const adjustmentSpan = document.createElement('span');
+      adjustmentSpan.className = 'player-adjustment';
+      adjustmentSpan.textContent = `${entry.adjustment} shared`;
+      scoreSpan.appendChild(adjustmentSpan);
+    }
 
     header.appendChild(nameSpan);
     header.appendChild(scoreSpan);
+    div.appendChild(header);
+
+    if (entry.words && entry.words.length > 0) {
+      const wordsDiv = document.createElement('div');
+      wordsDiv.className = 'player-words';
+
+      entry.words.forEach(wordObj => {
+        const badge = document.createElement('span');
+        badge.className = wordObj.shared ? 'word-badge shared' : 'word-badge';
+        badge.textContent = `${wordObj.word} (${wordObj.points})`;
+        if (wordObj.shared) badge.title = 'Found by more than one player';
+
+        // When in the round it was found, in replays
+        if (wordObj.elapsedMs !== undefined) {
+          const time = document.createElement('span');
+          time.className = 'word-time';
+          time.textContent = `+${formatElapsed(wordObj.elapsedMs)}`;
+          badge.appendChild(time);
+        }
+
+        if (entry.reactions) renderReactions(badge, entry, wordObj.word);
+        wordsDiv.appendChild(badge);
+      });
+
+      div.appendChild(wordsDiv);
+    }
+
+    container.appendChild(div);
+  });
+}
+
+// The reactions left on a word. Where the entry takes reactions, clicking one
+// toggles ours and clicking the word opens a picker for a new one.
+function renderReactions(badge, entry, word) {
+  entry.reactions.filter(reaction => reaction.word === word).forEach(reaction => {
+    const button = document.createElement('button');
+    button.className = reaction.by.includes(playerId) ? 'reaction mine' : 'reaction';
+    button.textContent = `${reaction.emoji} ${reaction.by.length}`;
+    button.disabled = !entry.onReact;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      entry.onReact(word, reaction.emoji);
+    });
+    badge.appendChild(button);
+  });
+
+  if (!entry.onReact) return;
+  badge.classList.add('reactable');
+  if (!badge.title) badge.title = 'React to this word';
+
+  badge.addEventListener('click', () => {
+    if (badge.querySelector('.reaction-picker')) return;
+
+    const picker = document.createElement('span');
+    picker.className = 'reaction-picker';
+    REACTIONS.forEach(emoji => {
+      const button = document.createElement('button');
+      button.textContent = emoji;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        entry.onReact(word, emoji);
+      });
+      picker.appendChild(button);
+    });
+    badge.appendChild(picker);
+  });
+}
+
+// Team games group the entries by team: each team's total first, then what
+// each member put in. Otherwise the same as renderLeaderboard.
+function renderStandings(container, game, entries) {
+  if (!game.settings.teams) {
+    renderLeaderboard(container, entries);
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const members = {};
+  entries.forEach(entry => {
+    (members[entry.team] = members[entry.team] || []).push(entry);
+  });
+
+  Object.keys(members)
+    .map(team => ({ team, score: members[team].reduce((sum, entry) => sum + entry.score, 0) }))
+    .sort((a, b) => b.score - a.score)
+    .forEach((standing, index) => {
+      const div = document.createElement('div');
+      div.className = 'team-result';
+      if (index === 0) div.classList.add('first-place');
+
+      const header = document.createElement('div');
+      header.className = 'player-header';
+
+      const nameSpan = document.createElement('span');
+      nameSpan.className = 'player-name';
+      nameSpan.textContent = `${index + 1}. Team ${standing.team}`;
+
+      const scoreSpan = document.createElement('span');
+      scoreSpan.className = 'player-score';
+      scoreSpan.textContent = standing.score;
+
+      header.appendChild(nameSpan);
+      header.appendChild(scoreSpan);
+      div.appendChild(header);
+
+      const list = document.createElement('div');
+      list.className = 'leaderboard-list';
+      renderLeaderboard(list, members[standing.team]);
+      div.appendChild(list);
+
+      container.appendChild(div);
+    });
+}
+
+// Entries for one finished round. Players can react to everyone's words but
+// their own.
+function roundEntries(game, roundResult) {
+  return Object.entries(roundResult.scores).map(([id, result]) => ({
+    name: playerNameFor(game, id),
+    score: result.score,
+    words: result.words,
+    percent: result.percentOfPossible,
+    adjustment: result.adjustment,
+    team: teamFor(game, id),
+    reactions: (game.reactions || []).filter(reaction => reaction.round === roundResult.round && reaction.playerId === id),
+    onReact: isSpectator || id === playerId ? null : (word, emoji) => reactToWord(roundResult.round, id, word, emoji)
+  }));
+}
+
+function teamFor(game, id) {
+  return game.players[id] ? game.players[id].team : null;
+}
+
+function playerNameFor(game, id) {
+  return game.players[id] ? game.players[id].name : 'Unknown';
+}
+
+// Every word the rack could make, grouped by length, marking who found each
+function renderWordReveal(container, game, roundResult) {
+  container.innerHTML = '';
+
+  const finders = {};
+  Object.entries(roundResult.scores).forEach(([id, result]) => {
+    result.words.forEach(wordObj => {
+      (finders[wordObj.word] = finders[wordObj.word] || []).push(playerNameFor(game, id));
+    });
+  });
+
+  const byLength = {};
+  (roundResult.possibleWords || []).forEach(wordObj => {
+    (byLength[wordObj.word.length] = byLength[wordObj.word.length] || []).push(wordObj);
+  });
+
+  Object.keys(byLength).sort((a, b) => b - a).forEach(length => {
+    const group = document.createElement('div');
+    group.className = 'reveal-group';
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${length} letters`;
+    group.appendChild(heading);
 
     const wordsDiv = document.createElement('div');
     wordsDiv.className = 'player-words';
 
-    player.words.forEach(wordObj => {
+    byLength[length].forEach(wordObj => {
+      const names = finders[wordObj.word];
       const badge = document.createElement('span');
-      badge.className = 'word-badge';
-      badge.textContent = `${wordObj.word} (${wordObj.points})`;
+      badge.className = names ? 'word-badge found' : 'word-badge missed';
+      badge.textContent = names ? `${wordObj.word} (${names.join(', ')})` : wordObj.word;
       wordsDiv.appendChild(badge);
     });
 
-    div.appendChild(header);
-    if (player.words.length > 0) {
-      div.appendChild(wordsDiv);
-    }
+    group.appendChild(wordsDiv);
+    container.appendChild(group);
+  });
+}
+
+// Entries for the match so far
+function totalEntries(game) {
+  return Object.values(game.players).map(player => ({
+    name: player.name,
+    score: player.totalScore,
+    team: player.team
+  }));
+}
+
+// Show the results of the round that just ended
+function showIntermission(game) {
+  const lastRound = game.roundHistory[game.roundHistory.length - 1];
+
+  document.getElementById('intermission-round').textContent = `${lastRound.round} of ${game.settings.rounds}`;
+  document.getElementById('intermission-letters').textContent = lastRound.letters.split('').join(' ');
+  renderStandings(document.getElementById('intermission-round-list'), game, roundEntries(game, lastRound));
+  renderStandings(document.getElementById('intermission-total-list'), game, totalEntries(game));
+  renderWordReveal(document.getElementById('intermission-reveal'), game, lastRound);
+
+  const isHost = game.hostId === playerId;
+  document.getElementById('next-round-btn').classList.toggle('hidden', !isHost);
+  document.getElementById('intermission-hint').classList.toggle('hidden', isHost);
+
+  showView('intermission');
+  renderChat(game);
+}
+
+// Show results
+function showResults(game) {
+  renderStandings(document.getElementById('leaderboard-list'), game, totalEntries(game));
+
+  // Per-round standings, one section per round
+  const roundResults = document.getElementById('round-results');
+  roundResults.innerHTML = '';
+
+  game.roundHistory.forEach(roundResult => {
+    const section = document.createElement('div');
+    section.className = 'leaderboard round-result';
 
-    leaderboard.appendChild(div);
+    const heading = document.createElement('h3');
+    heading.textContent = `Round ${roundResult.round} `;
+
+    const letters = document.createElement('span');
+    letters.className = 'letters';
+    letters.textContent = roundResult.letters.split('').join(' ');
+    heading.appendChild(letters);
+
+    const list = document.createElement('div');
+    list.className = 'leaderboard-list';
+    renderStandings(list, game, roundEntries(game, roundResult));
+
+    const reveal = document.createElement('div');
+    reveal.className = 'word-reveal';
+    renderWordReveal(reveal, game, roundResult);
+
+    section.appendChild(heading);
+    section.appendChild(list);
+    section.appendChild(reveal);
+    roundResults.appendChild(section);
   });
 
   showView('results');
+  renderChat(game);
+}
+
+// Everything a spectator sees, redrawn on every update
+function showSpectatorView(game) {
+  syncClock(game);
+  const lastRound = game.roundHistory[game.roundHistory.length - 1];
+  const betweenRounds = game.status === 'intermission' || game.status === 'finished';
+
+  document.getElementById('spectator-code').textContent = game.gameCode;
+  document.getElementById('spectator-round').textContent = `${game.round}/${game.settings.rounds}`;
+
+  const status = {
+    waiting: 'Waiting for the host to start the game...',
+    active: 'Round in progress',
+    intermission: `Round ${game.round} results`,
+    finished: 'Final results'
+  };
+  document.getElementById('spectator-status').textContent = status[game.status];
+
+  const letters = betweenRounds ? lastRound.letters : game.letters;
+  document.getElementById('spectator-letters').textContent = letters.split('').join(' ');
+
+  // During a round: this round's scores, with words if the host shows them
+  let entries;
+  if (betweenRounds) {
+    entries = totalEntries(game);
+  } else {
+    entries = Object.values(game.players).map(player => ({
+      name: `${player.name} (${player.wordCount} words)${player.connected ? '' : ' - disconnected'}`,
+      score: player.score,
+      words: player.words,
+      team: player.team
+    }));
+  }
+  document.getElementById('spectator-board-title').textContent = betweenRounds ? 'Standings' : 'Scoreboard';
+  renderStandings(document.getElementById('spectator-scoreboard'), game, entries);
+
+  document.getElementById('spectator-reveal-section').classList.toggle('hidden', !betweenRounds);
+  if (betweenRounds) {
+    renderWordReveal(document.getElementById('spectator-reveal'), game, lastRound);
+  }
+
+  if (game.status === 'active') {
+    gameStartTime = game.startTime;
+    gameDuration = game.settings.duration;
+    if (!timerInterval) startTimer();
+  } else {
+    stopTimer();
+    document.getElementById('spectator-timer').textContent = '-';
+  }
+
+  if (currentView !== 'spectator') showView('spectator');
+}
+
+// React to a pushed or polled game update
+function handleGameEvent(type, game) {
+  syncClock(game);
+
+  // Spectators have a single view that shows every status
+  if (isSpectator) {
+    showSpectatorView(game);
+    return;
+  }
+
+  // The host removed us
+  if (!game.players[playerId] || game.players[playerId].removed) {
+    leaveRemovedGame();
+    return;
+  }
+
+  switch (type) {
+    case 'lobby':
+      if (currentView === 'lobby') updateLobby(game);
+      break;
+    case 'start':
+      // A new round may begin before a poll ever sees the intermission
+      if (currentView === 'lobby' || currentView === 'intermission' || game.round !== currentRound) {
+        showGameView(game);
+      }
+      break;
+    case 'word':
+      if (currentView === 'game') updatePlayerWords(game.players[playerId]);
+      break;
+    case 'presence':
+      if (currentView === 'lobby') updatePlayersList(game);
+      if (currentView === 'game') updateGamePlayers(game);
+      break;
+    case 'round-end':
+      if (currentView === 'lobby' || currentView === 'game') showIntermission(game);
+      break;
+    case 'finish':
+      if (currentView === 'lobby' || currentView === 'game' || currentView === 'intermission') showResults(game);
+      break;
+    case 'chat': {
+      // Redrawing scrolls the chat back down and closes any open reaction
+      // picker, so only redraw when something changed
+      const signature = JSON.stringify([game.chat, game.reactions]);
+      if (signature === chatSignature) break;
+      chatSignature = signature;
+
+      if (currentView === 'lobby') renderChat(game);
+      if (currentView === 'intermission') showIntermission(game);
+      if (currentView === 'results') showResults(game);
+      break;
+    }
+    case 'state':
+      // Full snapshot: replay it as the events that lead to its status
+      if (game.status === 'waiting') {
+        handleGameEvent('lobby', game);
+        handleGameEvent('chat', game);
+      } else if (game.status === 'active') {
+        handleGameEvent('start', game);
+        handleGameEvent('word', game);
+        handleGameEvent('presence', game);
+      } else if (game.status === 'intermission') {
+        handleGameEvent('round-end', game);
+        handleGameEvent('chat', game);
+      } else if (game.status === 'finished') {
+        handleGameEvent('finish', game);
+        handleGameEvent('chat', game);
+      }
+      break;
+  }
+}
+
+// Live updates over Server-Sent Events, falling back to polling where the
+// server can't push (the Netlify deployment)
+function subscribeToGame() {
+  if (eventSource || pollingInterval) return;
+
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  eventSource = new EventSource(`/api/games/${gameCode}/events?token=${encodeURIComponent(sessionToken)}`);
+  ['state', 'lobby', 'start', 'word', 'presence', 'round-end', 'finish', 'chat'].forEach(type => {
+    eventSource.addEventListener(type, (e) => handleGameEvent(type, JSON.parse(e.data)));
+  });
+  eventSource.addEventListener('removed', leaveRemovedGame);
+  eventSource.onerror = () => {
+    // CLOSED means the server refused the stream; otherwise it is reconnecting
+    if (eventSource.readyState === EventSource.CLOSED) {
+      eventSource = null;
+      startPolling();
+    }
+  };
+}
+
+function unsubscribeFromGame() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  stopPolling();
 }
 
 // Polling
@@ -339,20 +1770,22 @@ function startPolling() {
 
   pollingInterval = setInterval(async () => {
     try {
-      const response = await fetch(`/api/games/${gameCode}`);
-      const game = await response.json();
-
-      // Update based on game status
-      if (currentView === 'lobby' && game.status === 'active') {
-        showGameView(game);
-      } else if (currentView === 'lobby') {
-        updatePlayersList(game.players);
-      } else if (currentView === 'game' && game.status === 'active') {
-        updateTimer(game);
-        updatePlayerWords(game.players[playerId]);
-      } else if (currentView === 'game' && game.status === 'finished') {
-        showResults(game);
+      const url = isSpectator ? `/api/games/${gameCode}/spectate` : `/api/games/${gameCode}`;
+      const response = await fetch(url, { headers: authHeaders() });
+      // The game was cleaned up; stop before the lookups count as code guessing
+      if (response.status === 404) {
+        stopPolling();
+        return;
+      }
+      // Our session was dropped when the host removed us
+      if (response.status === 401 && !isSpectator) {
+        leaveRemovedGame();
+        return;
       }
+      if (!response.ok) return;
+
+      const game = await response.json();
+      handleGameEvent('state', game);
     } catch (error) {
       console.error('Polling error:', error);
     }
@@ -366,11 +1799,26 @@ function stopPolling() {
   }
 }
 
+// Back to the home screen after the host removes us from the game
+function leaveRemovedGame() {
+  resetGame();
+  showView('home');
+  alert('The host removed you from the game');
+}
+
 // Reset game state
 function resetGame() {
   gameCode = null;
   playerId = null;
   playerName = null;
+  sessionToken = null;
+  isDaily = false;
+  isSpectator = false;
+  dailyDate = null;
   gameStartTime = null;
-  stopPolling();
+  currentRound = 0;
+  chatSignature = null;
+  clearSession();
+  unsubscribeFromGame();
+  stopTimer();
 }
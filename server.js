@@ -1,282 +1,167 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const engine = require('./lib/engine');
+const { createApi, errorResponse, routeNotFound, internalError, parseBearerToken } = require('./lib/api');
+const { createFileStorage, createMemoryStorage } = require('./lib/storage');
+const { createEventBus } = require('./lib/events');
+const { createDictionaryRegistry } = require('./lib/dictionaries');
+const { createRateLimiter } = require('./lib/limits');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ROUND_DURATION = parseInt(process.env.ROUND_DURATION || '10', 10); // 10 seconds for testing
-
-// Ensure games directory exists
-const gamesDir = path.join(__dirname, 'games');
-if (!fs.existsSync(gamesDir)) {
-  fs.mkdirSync(gamesDir);
+const ROUND_DURATION = engine.getRoundDuration();
+
+// Games, profiles and finished games are kept as JSON files in games/,
+// profiles/ and archive/ unless GAME_STORAGE=memory
+const inMemory = process.env.GAME_STORAGE === 'memory';
+const storage = inMemory ? createMemoryStorage() : createFileStorage(path.join(__dirname, 'games'));
+const profileStorage = inMemory ? createMemoryStorage() : createFileStorage(path.join(__dirname, 'profiles'));
+const archiveStorage = inMemory ? createMemoryStorage() : createFileStorage(path.join(__dirname, 'archive'));
+
+// Behind a proxy, set TRUST_PROXY (e.g. 1 or loopback) so rate limits see
+// the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
 }
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Load wordlist into memory
-let wordSet = new Set();
-let sixLetterWords = [];
-try {
-  const wordlist = fs.readFileSync(path.join(__dirname, 'wordlist.txt'), 'utf-8');
-  const words = wordlist.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length >= 3);
-  wordSet = new Set(words);
-  sixLetterWords = words.filter(w => w.length === 6);
-  console.log(`Loaded ${wordSet.size} words from wordlist.txt (${sixLetterWords.length} six-letter words)`);
-} catch (err) {
-  console.error('Error loading wordlist.txt:', err.message);
-  console.log('Server will start but word validation will fail');
-}
-
-// Helper: Generate random game code
-function generateGameCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars[Math.floor(Math.random() * chars.length)];
-  }
-  return code;
-}
-
-// Helper: Generate random letters for the game
-function generateLetters() {
-  // Pick a random 6-letter word and scramble it
-  if (sixLetterWords.length === 0) {
-    // Fallback if no 6-letter words available
-    return 'MASTER';
-  }
-
-  const randomWord = sixLetterWords[Math.floor(Math.random() * sixLetterWords.length)];
-  return randomWord.split('').sort(() => Math.random() - 0.5).join('');
-}
-
-// Helper: Check if word can be formed from letters
-function canFormWord(word, gameLetters) {
-  const letterCount = {};
-  for (let letter of gameLetters) {
-    letterCount[letter] = (letterCount[letter] || 0) + 1;
-  }
-
-  for (let letter of word) {
-    if (!letterCount[letter] || letterCount[letter] === 0) {
-      return false;
-    }
-    letterCount[letter]--;
-  }
-  return true;
-}
-
-// Helper: Calculate points for a word
-function calculatePoints(word) {
-  const length = word.length;
-  if (length === 3) return 100;
-  if (length === 4) return 400;
-  if (length === 5) return 800;
-  if (length === 6) return 1400;
-  if (length === 7) return 1800;
-  return 2300 + (length - 8) * 500; // 8+ letters
-}
-
-// Helper: Save game to file
-function saveGame(gameCode, gameData) {
-  const filePath = path.join(__dirname, 'games', `${gameCode}.json`);
-  fs.writeFileSync(filePath, JSON.stringify(gameData, null, 2));
-}
-
-// Helper: Load game from file
-function loadGame(gameCode) {
-  const filePath = path.join(__dirname, 'games', `${gameCode}.json`);
-  if (!fs.existsSync(filePath)) {
-    return null;
-  }
-  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-}
-
-// API: Create new game
-app.post('/api/games', (req, res) => {
-  const gameCode = generateGameCode();
-  const letters = generateLetters();
-
-  const gameData = {
-    gameCode,
-    letters,
-    players: {},
-    status: 'waiting',
-    startTime: null,
-    duration: ROUND_DURATION,
-    createdAt: Date.now()
-  };
-
-  saveGame(gameCode, gameData);
-  res.json({ gameCode, letters });
+// Word lists load on first use; warm up the default one now
+const dictionaries = createDictionaryRegistry(__dirname);
+dictionaries.get();
+
+const api = createApi({
+  storage,
+  profileStorage,
+  archiveStorage,
+  dictionaries,
+  events: createEventBus(),
+  limiter: createRateLimiter(),
+  roundDuration: ROUND_DURATION
 });
 
-// API: Get game state
-app.get('/api/games/:code', (req, res) => {
-  const game = loadGame(req.params.code);
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
-
-  // Check if game should be finished
-  if (game.status === 'active' && game.startTime) {
-    const elapsed = (Date.now() - game.startTime) / 1000;
-    if (elapsed >= game.duration) {
-      game.status = 'finished';
-      saveGame(req.params.code, game);
+// API: Stream game updates as Server-Sent Events. EventSource can't send
+// headers, so the session token comes in the query string.
+app.get('/api/games/:code/events', async (req, res, next) => {
+  let unsubscribe;
+  try {
+    unsubscribe = await api.subscribe(req.params.code, req.query.token, ({ type, game }) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        });
+      }
+      res.write(`event: ${type}\ndata: ${JSON.stringify(game)}\n\n`);
+      // The host removed this player; their stream ends here
+      if (type === 'removed') res.end();
+    });
+  } catch (err) {
+    if (err instanceof engine.GameError) {
+      return res.status(err.status).json(errorResponse(err.status, err.code, err.message, err.details).body);
     }
+    return next(err);
   }
 
-  res.json(game);
-});
-
-// API: Join game
-app.post('/api/games/:code/join', (req, res) => {
-  const { playerName } = req.body;
-  const game = loadGame(req.params.code);
-
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
+  if (!unsubscribe) {
+    return res.status(404).json(errorResponse(404, 'GAME_NOT_FOUND', 'Game not found').body);
   }
-
-  if (game.status !== 'waiting') {
-    return res.status(400).json({ error: 'Game already started' });
+  if (res.destroyed) {
+    return unsubscribe();
   }
 
-  if (!playerName || playerName.trim().length === 0) {
-    return res.status(400).json({ error: 'Player name required' });
-  }
-
-  // Generate unique player ID
-  const playerId = 'player_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-  game.players[playerId] = {
-    name: playerName.trim(),
-    words: [],
-    score: 0
-  };
-
-  saveGame(req.params.code, game);
-  res.json({ playerId, game });
+  // Comment lines keep idle connections from being closed by proxies
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25 * 1000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
 });
 
-// API: Start game
-app.post('/api/games/:code/start', (req, res) => {
-  const game = loadGame(req.params.code);
-
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
-
-  if (game.status !== 'waiting') {
-    return res.status(400).json({ error: 'Game already started' });
-  }
-
-  game.status = 'active';
-  game.startTime = Date.now();
-
-  saveGame(req.params.code, game);
-  res.json(game);
+// Mount every shared route under /api
+api.routes.forEach(route => {
+  app[route.method.toLowerCase()]('/api' + route.path, async (req, res, next) => {
+    try {
+      const token = parseBearerToken(req.get('Authorization'));
+      const input = route.method === 'GET' ? req.query : req.body;
+      const { status, body, headers } = await api.handle(route, req.params, input, token, req.ip);
+
+      res.status(status).set(headers || {});
+      if (typeof body === 'string') {
+        res.send(body);
+      } else {
+        res.json(body);
+      }
+    } catch (err) {
+      next(err);
+    }
+  });
 });
 
-// API: Validate and add word
-app.post('/api/games/:code/words', (req, res) => {
-  const { playerId, word } = req.body;
-  const game = loadGame(req.params.code);
-
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
-
-  if (game.status !== 'active') {
-    return res.status(400).json({ error: 'Game not active', valid: false });
-  }
-
-  if (!game.players[playerId]) {
-    return res.status(400).json({ error: 'Player not found', valid: false });
-  }
-
-  const wordUpper = word.trim().toUpperCase();
-
-  // Validate word
-  if (wordUpper.length < 3) {
-    return res.json({ valid: false, reason: 'Word must be at least 3 letters' });
-  }
-
-  if (!canFormWord(wordUpper, game.letters)) {
-    return res.json({ valid: false, reason: 'Cannot form word from available letters' });
-  }
-
-  if (!wordSet.has(wordUpper)) {
-    return res.json({ valid: false, reason: 'Word not in dictionary' });
-  }
-
-  // Check if player already submitted this word
-  if (game.players[playerId].words.some(w => w.word === wordUpper)) {
-    return res.json({ valid: false, reason: 'Word already submitted' });
-  }
-
-  // Add word to player's list
-  const points = calculatePoints(wordUpper);
-  game.players[playerId].words.push({ word: wordUpper, points });
-  game.players[playerId].score += points;
-
-  saveGame(req.params.code, game);
-  res.json({ valid: true, points, word: wordUpper });
+// Anything else under /api gets a JSON error rather than an HTML page
+app.use('/api', (req, res) => {
+  const { status, body } = routeNotFound();
+  res.status(status).json(body);
 });
 
-// API: Remove word from player's list
-app.delete('/api/games/:code/words', (req, res) => {
-  const { playerId, word } = req.body;
-  const game = loadGame(req.params.code);
-
-  if (!game) {
-    return res.status(404).json({ error: 'Game not found' });
-  }
-
-  if (game.status !== 'active') {
-    return res.status(400).json({ error: 'Game not active' });
-  }
-
-  if (!game.players[playerId]) {
-    return res.status(400).json({ error: 'Player not found' });
+app.use('/api', (err, req, res, next) => {
+  // Bodies express.json() couldn't parse
+  if (err.type === 'entity.parse.failed') {
+    const { status, body } = errorResponse(400, 'INVALID_INPUT', 'Request body is not valid JSON');
+    return res.status(status).json(body);
   }
 
-  const wordUpper = word.trim().toUpperCase();
-  const player = game.players[playerId];
-  const wordIndex = player.words.findIndex(w => w.word === wordUpper);
-
-  if (wordIndex !== -1) {
-    const removedWord = player.words.splice(wordIndex, 1)[0];
-    player.score -= removedWord.points;
-    saveGame(req.params.code, game);
+  // Path params Express couldn't percent-decode
+  if (err instanceof URIError) {
+    const { status, body } = errorResponse(400, 'INVALID_INPUT', 'Request path is not valid');
+    return res.status(status).json(body);
   }
 
-  res.json({ success: true });
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  const { status, body } = internalError();
+  res.status(status).json(body);
 });
 
 // Cleanup old games (24 hours)
-setInterval(() => {
-  const gamesDir = path.join(__dirname, 'games');
-  if (!fs.existsSync(gamesDir)) return;
-
-  const files = fs.readdirSync(gamesDir);
+async function cleanupOldGames() {
   const now = Date.now();
 
-  files.forEach(file => {
-    const filePath = path.join(gamesDir, file);
-    const game = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-
-    // Delete games older than 24 hours
-    if (now - game.createdAt > 24 * 60 * 60 * 1000) {
-      fs.unlinkSync(filePath);
-      console.log(`Deleted old game: ${game.gameCode}`);
+  let codes;
+  try {
+    codes = await storage.list();
+  } catch (err) {
+    console.error('Error cleaning up old games:', err.message);
+    return;
+  }
+
+  // One game that can't be archived or deleted doesn't hold up the rest
+  for (const code of codes) {
+    try {
+      const game = await storage.get(code);
+
+      // Delete games older than 24 hours, counting finished ones towards
+      // profiles first in case that failed when they finished
+      if (game && now - game.createdAt > 24 * 60 * 60 * 1000) {
+        await api.archiveGame(code, game);
+        await storage.delete(code);
+        console.log(`Deleted old game: ${game.gameCode}`);
+      }
+    } catch (err) {
+      console.error(`Error cleaning up game ${code}:`, err.message);
     }
+  }
+}
+
+// Listen and clean up when run directly; the tests require the app instead
+if (require.main === module) {
+  setInterval(cleanupOldGames, 60 * 60 * 1000); // Run every hour
+
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Round duration: ${ROUND_DURATION} seconds`);
   });
-}, 60 * 60 * 1000); // Run every hour
+}
 
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Round duration: ${ROUND_DURATION} seconds`);
-});
+module.exports = app;
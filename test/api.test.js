@@ -0,0 +1,679 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ROOT, backends } = require('./support/backends');
+const engine = require('../lib/engine');
+const { DICTIONARIES, createDictionaryRegistry } = require('../lib/dictionaries');
+
+// The same scenarios against every backend. Rooms use the small kids word
+// list so the tests can solve each rack themselves.
+
+const DICTIONARY = 'kids';
+const dictionaries = createDictionaryRegistry(ROOT);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+for (const backend of backends) {
+  describe(`${backend.name} backend`, () => {
+    let api;
+
+    before(async () => {
+      api = await backend.start();
+    });
+
+    after(() => api.close());
+
+    // A waiting room: the host plus one player per extra name, with any
+    // settings applied. Players are { playerId, sessionToken, name }.
+    async function createRoom(names = ['Ana', 'Bo'], settings = {}) {
+      const [hostName, ...others] = names;
+      const created = await api.request('POST', '/api/games', { body: { playerName: hostName } });
+      assert.equal(created.status, 200);
+
+      const code = created.body.gameCode;
+      const players = [{ playerId: created.body.playerId, sessionToken: created.body.sessionToken, name: hostName }];
+
+      const configured = await api.request('PUT', `/api/games/${code}/settings`, {
+        body: { dictionary: DICTIONARY, rounds: 1, ...settings },
+        token: players[0].sessionToken
+      });
+      assert.equal(configured.status, 200);
+
+      for (const name of others) {
+        const joined = await api.request('POST', `/api/games/${code}/join`, { body: { playerName: name } });
+        assert.equal(joined.status, 200);
+        players.push({ playerId: joined.body.playerId, sessionToken: joined.body.sessionToken, name });
+      }
+      return { code, players, host: players[0] };
+    }
+
+    // Start the room's round and solve its rack
+    async function startRoom(room) {
+      const started = await api.request('POST', `/api/games/${room.code}/start`, { token: room.host.sessionToken });
+      assert.equal(started.status, 200);
+
+      room.letters = started.body.letters;
+      room.words = engine.solveRack(room.letters, dictionaries.get(DICTIONARY)).map(({ word }) => word);
+      return started.body;
+    }
+
+    function getGame(room, player = room.host) {
+      return api.request('GET', `/api/games/${room.code}`, { token: player.sessionToken });
+    }
+
+    function submit(room, player, word) {
+      return api.request('POST', `/api/games/${room.code}/words`, { body: { word }, token: player.sessionToken });
+    }
+
+    function remove(room, player, word) {
+      return api.request('DELETE', `/api/games/${room.code}/words`, { body: { word }, token: player.sessionToken });
+    }
+
+    // Poll until the game reaches a status, or fail
+    async function waitForStatus(room, status, timeoutMs = 6000) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        const response = await getGame(room);
+        if (response.body.status === status) return response.body;
+        if (Date.now() > deadline) assert.fail(`game stayed ${response.body.status}, expected ${status}`);
+        await sleep(200);
+      }
+    }
+
+    describe('joining', () => {
+      it('makes the creator the host of a waiting game', async () => {
+        const created = await api.request('POST', '/api/games', { body: { playerName: 'Ana' } });
+
+        assert.equal(created.status, 200);
+        assert.match(created.body.gameCode, /^[A-Z0-9]{6}$/);
+        assert.match(created.body.sessionToken, /^[0-9a-f]{48}$/);
+        assert.equal(created.body.game.status, 'waiting');
+        assert.equal(created.body.game.hostId, created.body.playerId);
+      });
+
+      it('seats joining players and never returns session secrets', async () => {
+        const room = await createRoom(['Ana', 'Bo', 'Cy']);
+        const { body: game } = await getGame(room);
+
+        assert.deepEqual(Object.values(game.players).map(player => player.name), ['Ana', 'Bo', 'Cy']);
+        assert.equal(game.sessions, undefined);
+        assert.equal(game.log, undefined);
+        assert.equal(game.botMoves, undefined);
+      });
+
+      it('rejects a missing name, unknown fields and malformed codes', async () => {
+        const room = await createRoom(['Ana']);
+
+        const noName = await api.request('POST', `/api/games/${room.code}/join`, { body: { playerName: '  ' } });
+        assert.equal(noName.status, 400);
+        assert.equal(noName.body.error.code, 'INVALID_INPUT');
+        assert.equal(noName.body.error.field, 'playerName');
+
+        const extra = await api.request('POST', `/api/games/${room.code}/join`, { body: { playerName: 'Bo', admin: true } });
+        assert.equal(extra.status, 400);
+        assert.equal(extra.body.error.field, 'admin');
+
+        const badCode = await api.request('POST', '/api/games/nope/join', { body: { playerName: 'Bo' } });
+        assert.equal(badCode.status, 400);
+        assert.equal(badCode.body.error.field, 'code');
+      });
+
+      it('answers 404 for a game that does not exist', async () => {
+        const response = await api.request('POST', '/api/games/ZZZZZZ/join', { body: { playerName: 'Bo' } });
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error.code, 'GAME_NOT_FOUND');
+      });
+
+      it('turns players away once the game has started', async () => {
+        const room = await createRoom(['Ana']);
+        await startRoom(room);
+
+        const response = await api.request('POST', `/api/games/${room.code}/join`, { body: { playerName: 'Late' } });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'GAME_ALREADY_STARTED');
+      });
+    });
+
+    describe('starting', () => {
+      it('only lets the host start, and only once', async () => {
+        const room = await createRoom();
+        const [, guest] = room.players;
+
+        const notHost = await api.request('POST', `/api/games/${room.code}/start`, { token: guest.sessionToken });
+        assert.equal(notHost.status, 403);
+        assert.equal(notHost.body.error.code, 'NOT_HOST');
+
+        const game = await startRoom(room);
+        assert.equal(game.status, 'active');
+        assert.equal(game.round, 1);
+
+        const again = await api.request('POST', `/api/games/${room.code}/start`, { token: room.host.sessionToken });
+        assert.equal(again.status, 400);
+        assert.equal(again.body.error.code, 'GAME_ALREADY_STARTED');
+      });
+
+      it('needs a valid session', async () => {
+        const room = await createRoom(['Ana']);
+
+        const missing = await api.request('POST', `/api/games/${room.code}/start`);
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.error.code, 'INVALID_SESSION');
+
+        const wrong = await api.request('POST', `/api/games/${room.code}/start`, { token: 'f'.repeat(48) });
+        assert.equal(wrong.status, 401);
+      });
+
+      it('keeps settings to the host and within limits', async () => {
+        const room = await createRoom();
+        const [, guest] = room.players;
+
+        const notHost = await api.request('PUT', `/api/games/${room.code}/settings`, { body: { rounds: 2 }, token: guest.sessionToken });
+        assert.equal(notHost.status, 403);
+
+        const tooMany = await api.request('PUT', `/api/games/${room.code}/settings`, { body: { rounds: 99 }, token: room.host.sessionToken });
+        assert.equal(tooMany.status, 400);
+        assert.equal(tooMany.body.error.code, 'INVALID_INPUT');
+        assert.equal(tooMany.body.error.field, 'rounds');
+      });
+    });
+
+    describe('dictionaries', () => {
+      it('lists every word list a room can be set to', async () => {
+        const { body } = await api.request('GET', '/api/dictionaries');
+        assert.deepEqual(body.dictionaries.map(({ id }) => id), Object.keys(DICTIONARIES));
+        body.dictionaries.forEach(({ name }) => assert.ok(name));
+      });
+    });
+
+    describe('words', () => {
+      it('scores a valid word for the player who found it', async () => {
+        const room = await createRoom();
+        await startRoom(room);
+        const [word] = room.words;
+
+        const response = await submit(room, room.host, word.toLowerCase());
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body, { valid: true, points: engine.calculatePoints(word), word });
+
+        const { body: game } = await getGame(room);
+        assert.equal(game.players[room.host.playerId].score, engine.calculatePoints(word));
+      });
+
+      it('explains why a word does not count', async () => {
+        const room = await createRoom();
+        await startRoom(room);
+        const [word] = room.words;
+        await submit(room, room.host, word);
+
+        const duplicate = await submit(room, room.host, word);
+        assert.equal(duplicate.status, 422);
+        assert.equal(duplicate.body.error.code, 'WORD_ALREADY_SUBMITTED');
+
+        const short = await submit(room, room.host, room.letters.slice(0, 2));
+        assert.equal(short.status, 422);
+        assert.equal(short.body.error.code, 'WORD_TOO_SHORT');
+        assert.equal(short.body.error.minWordLength, 3);
+
+        const unavailable = await submit(room, room.host, room.letters + room.letters[0]);
+        assert.equal(unavailable.status, 422);
+        assert.equal(unavailable.body.error.code, 'LETTERS_UNAVAILABLE');
+
+        // The whole rack backwards and forwards can't both be words
+        const candidates = [room.letters, [...room.letters].reverse().join('')];
+        const nonsense = candidates.find(candidate => !dictionaries.get(DICTIONARY).wordSet.has(candidate));
+        const unknown = await submit(room, room.host, nonsense);
+        assert.equal(unknown.status, 422);
+        assert.equal(unknown.body.error.code, 'WORD_NOT_IN_DICTIONARY');
+      });
+
+      it('hides opponents\' words while the round is on', async () => {
+        const room = await createRoom();
+        await startRoom(room);
+        const [, guest] = room.players;
+        await submit(room, room.host, room.words[0]);
+
+        const { body: game } = await getGame(room, guest);
+        assert.equal(game.players[room.host.playerId].words, undefined);
+        assert.equal(game.players[room.host.playerId].wordCount, 1);
+        assert.deepEqual(game.players[guest.playerId].words, []);
+      });
+
+      it('shows live words only on a screen the host opened', async () => {
+        const room = await createRoom(['Ana', 'Bo'], { spectatorWords: 'live' });
+        const [, guest] = room.players;
+
+        const notHost = await api.request('POST', `/api/games/${room.code}/spectate`, { token: guest.sessionToken });
+        assert.equal(notHost.body.error.code, 'NOT_HOST');
+
+        const screen = await api.request('POST', `/api/games/${room.code}/spectate`, { token: room.host.sessionToken });
+        const watcher = await api.request('POST', `/api/games/${room.code}/spectate`);
+        await startRoom(room);
+        await submit(room, room.host, room.words[0]);
+
+        // Anyone can watch, the guest included, but only for the scores
+        const { body: watched } = await api.request('GET', `/api/games/${room.code}/spectate`, { token: watcher.body.spectatorToken });
+        assert.equal(watched.players[room.host.playerId].words, undefined);
+        assert.equal(watched.players[room.host.playerId].wordCount, 1);
+
+        const { body: shown } = await api.request('GET', `/api/games/${room.code}/spectate`, { token: screen.body.spectatorToken });
+        assert.deepEqual(shown.players[room.host.playerId].words.map(({ word }) => word), [room.words[0]]);
+      });
+
+      it('takes a word back out and its points with it', async () => {
+        const room = await createRoom();
+        await startRoom(room);
+        const [first, second] = room.words;
+        await submit(room, room.host, first);
+        await submit(room, room.host, second);
+
+        const removed = await remove(room, room.host, first);
+        assert.equal(removed.status, 200);
+
+        const { body: game } = await getGame(room);
+        const host = game.players[room.host.playerId];
+        assert.deepEqual(host.words.map(({ word }) => word), [second]);
+        assert.equal(host.score, engine.calculatePoints(second));
+
+        const missing = await remove(room, room.host, first);
+        assert.equal(missing.status, 200);
+      });
+
+      it('refuses words before the round starts', async () => {
+        const room = await createRoom();
+
+        const response = await submit(room, room.host, 'word');
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'GAME_NOT_ACTIVE');
+      });
+    });
+
+    describe('finishing', () => {
+      it('ends the last round when the clock runs out and records it', async () => {
+        const room = await createRoom();
+        await startRoom(room);
+        const [, guest] = room.players;
+        await submit(room, room.host, room.words[0]);
+
+        const game = await waitForStatus(room, 'finished');
+        const [roundResult] = game.roundHistory;
+        assert.equal(game.roundHistory.length, 1);
+        assert.deepEqual(roundResult.scores[room.host.playerId].words.map(({ word }) => word), [room.words[0]]);
+        assert.equal(game.players[room.host.playerId].totalScore, engine.calculatePoints(room.words[0]));
+        assert.equal(game.players[guest.playerId].totalScore, 0);
+        assert.ok(roundResult.possibleWords.length >= room.words.length);
+
+        const late = await submit(room, guest, room.words[0]);
+        assert.equal(late.status, 400);
+        assert.equal(late.body.error.code, 'GAME_NOT_ACTIVE');
+      });
+
+      it('counts a finished game towards its players\' profiles', async () => {
+        const { body: { profileToken } } = await api.request('POST', '/api/profiles', { body: { name: 'Ana' } });
+        const created = await api.request('POST', '/api/games', { body: { playerName: 'Ana', profileToken } });
+        const host = { playerId: created.body.playerId, sessionToken: created.body.sessionToken, name: 'Ana' };
+        const room = { code: created.body.gameCode, players: [host], host };
+        await api.request('PUT', `/api/games/${room.code}/settings`, { body: { dictionary: DICTIONARY, rounds: 1 }, token: host.sessionToken });
+
+        await startRoom(room);
+        await submit(room, host, room.words[0]);
+        await waitForStatus(room, 'finished');
+
+        const { body: profile } = await api.request('GET', '/api/profile', { token: profileToken });
+        assert.equal(profile.gamesPlayed, 1);
+        assert.equal(profile.totalScore, engine.calculatePoints(room.words[0]));
+      });
+
+      it('finds a finished game in the archive by player name', async () => {
+        const room = await createRoom(['Archie', 'Bo']);
+        await startRoom(room);
+        await waitForStatus(room, 'finished');
+
+        const { body } = await api.request('GET', '/api/archive?q=archie');
+        assert.deepEqual(body.games.map(({ gameCode }) => gameCode), [room.code]);
+
+        const csv = await api.request('GET', `/api/archive/${room.code}/export?format=csv`);
+        assert.equal(csv.status, 200);
+      });
+
+      it('pauses between rounds until the host deals the next one', async () => {
+        const room = await createRoom(['Ana', 'Bo'], { rounds: 2 });
+        await startRoom(room);
+        const [, guest] = room.players;
+        await submit(room, guest, room.words[0]);
+
+        await waitForStatus(room, 'intermission');
+        const notHost = await api.request('POST', `/api/games/${room.code}/next-round`, { token: guest.sessionToken });
+        assert.equal(notHost.status, 403);
+
+        const next = await api.request('POST', `/api/games/${room.code}/next-round`, { token: room.host.sessionToken });
+        assert.equal(next.status, 200);
+        assert.equal(next.body.status, 'active');
+        assert.equal(next.body.round, 2);
+        assert.deepEqual(next.body.players[room.host.playerId].words, []);
+
+        const game = await waitForStatus(room, 'finished');
+        assert.equal(game.roundHistory.length, 2);
+        assert.equal(game.players[guest.playerId].totalScore, engine.calculatePoints(room.words[0]));
+
+        const again = await api.request('POST', `/api/games/${room.code}/next-round`, { token: room.host.sessionToken });
+        assert.equal(again.status, 400);
+        assert.equal(again.body.error.code, 'NO_ROUND_TO_START');
+      });
+    });
+
+    describe('moderation', () => {
+      function kick(room, target, ban = false) {
+        return api.request('POST', `/api/games/${room.code}/kick`, { body: { playerId: target.playerId, ban }, token: room.host.sessionToken });
+      }
+
+      function join(room, playerName) {
+        return api.request('POST', `/api/games/${room.code}/join`, { body: { playerName } });
+      }
+
+      it('keeps names unique within a game, ignoring case', async () => {
+        const room = await createRoom(['Ana', 'Bo']);
+
+        const response = await join(room, ' bo ');
+        assert.equal(response.status, 409);
+        assert.equal(response.body.error.code, 'NAME_TAKEN');
+      });
+
+      it('refuses names on the blocked list', async () => {
+        const created = await api.request('POST', '/api/games', { body: { playerName: 'Sh1t Head' } });
+        assert.equal(created.status, 400);
+        assert.equal(created.body.error.code, 'NAME_NOT_ALLOWED');
+        assert.equal(created.body.error.field, 'playerName');
+      });
+
+      it('lets the host kick a player, ending their session', async () => {
+        const room = await createRoom(['Ana', 'Bo', 'Cy']);
+        const [, guest, other] = room.players;
+
+        const notHost = await api.request('POST', `/api/games/${room.code}/kick`, { body: { playerId: other.playerId }, token: guest.sessionToken });
+        assert.equal(notHost.status, 403);
+
+        const kicked = await kick(room, guest);
+        assert.equal(kicked.status, 200);
+        assert.equal(kicked.body.players[guest.playerId], undefined);
+
+        const stale = await getGame(room, guest);
+        assert.equal(stale.status, 401);
+
+        // A kick without a ban lets them back in
+        const rejoined = await join(room, 'Bo');
+        assert.equal(rejoined.status, 200);
+      });
+
+      it('keeps a banned name out but not others from the same address', async () => {
+        const room = await createRoom(['Ana', 'Bo']);
+        const [, guest] = room.players;
+
+        const hostKick = await kick(room, room.host);
+        assert.equal(hostKick.body.error.code, 'CANNOT_KICK_HOST');
+
+        assert.equal((await kick(room, guest, true)).status, 200);
+
+        const sameName = await join(room, 'bo');
+        assert.equal(sameName.status, 403);
+        assert.equal(sameName.body.error.code, 'BANNED');
+
+        // Everyone here shares an address, like players on one Wi-Fi network
+        const otherName = await join(room, 'Someone Else');
+        assert.equal(otherName.status, 200);
+      });
+
+      it('keeps a banned profile out under any name', async () => {
+        const room = await createRoom(['Ana']);
+        const { body: { profileToken } } = await api.request('POST', '/api/profiles', { body: { name: 'Bo' } });
+        const joined = await api.request('POST', `/api/games/${room.code}/join`, { body: { playerName: 'Bo', profileToken } });
+
+        assert.equal((await kick(room, joined.body, true)).status, 200);
+
+        const renamed = await api.request('POST', `/api/games/${room.code}/join`, { body: { playerName: 'Not Bo', profileToken } });
+        assert.equal(renamed.body.error.code, 'BANNED');
+      });
+
+      it('lets the host remove a player between rounds, keeping their scores', async () => {
+        const room = await createRoom(['Ana', 'Bo'], { rounds: 2 });
+        const [, guest] = room.players;
+        await startRoom(room);
+        await submit(room, guest, room.words[0]);
+        await waitForStatus(room, 'intermission');
+
+        assert.equal((await kick(room, guest)).status, 200);
+
+        const chat = await api.request('POST', `/api/games/${room.code}/chat`, { body: { text: 'hi' }, token: guest.sessionToken });
+        assert.equal(chat.status, 401);
+
+        const { body: game } = await getGame(room);
+        assert.equal(game.players[guest.playerId].removed, true);
+        assert.equal(game.players[guest.playerId].totalScore, engine.calculatePoints(room.words[0]));
+
+        const again = await kick(room, guest);
+        assert.equal(again.body.error.code, 'PLAYER_NOT_FOUND');
+      });
+
+      it('lets the host rename a player', async () => {
+        const room = await createRoom(['Ana', 'Bo', 'Cy']);
+        const [, guest] = room.players;
+
+        const taken = await api.request('POST', `/api/games/${room.code}/rename`, {
+          body: { playerId: guest.playerId, playerName: 'Cy' },
+          token: room.host.sessionToken
+        });
+        assert.equal(taken.body.error.code, 'NAME_TAKEN');
+
+        const renamed = await api.request('POST', `/api/games/${room.code}/rename`, {
+          body: { playerId: guest.playerId, playerName: 'Bobby' },
+          token: room.host.sessionToken
+        });
+        assert.equal(renamed.status, 200);
+        assert.equal(renamed.body.players[guest.playerId].name, 'Bobby');
+      });
+
+      it('turns new players away while the room is locked', async () => {
+        const room = await createRoom(['Ana']);
+
+        const locked = await api.request('PUT', `/api/games/${room.code}/lock`, { body: { locked: true }, token: room.host.sessionToken });
+        assert.equal(locked.status, 200);
+        assert.equal(locked.body.locked, true);
+
+        const refused = await join(room, 'Bo');
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.error.code, 'GAME_LOCKED');
+
+        await api.request('PUT', `/api/games/${room.code}/lock`, { body: { locked: false }, token: room.host.sessionToken });
+        assert.equal((await join(room, 'Bo')).status, 200);
+      });
+    });
+
+    describe('chat', () => {
+      function chat(room, player, text) {
+        return api.request('POST', `/api/games/${room.code}/chat`, { body: { text }, token: player.sessionToken });
+      }
+
+      function react(room, player, target, word, emoji = '👍') {
+        return api.request('POST', `/api/games/${room.code}/reactions`, {
+          body: { round: 1, playerId: target.playerId, word, emoji },
+          token: player.sessionToken
+        });
+      }
+
+      it('shares lobby messages with every player', async () => {
+        const room = await createRoom();
+        const [, guest] = room.players;
+
+        const sent = await chat(room, room.host, '  good luck!  ');
+        assert.equal(sent.status, 200);
+
+        const { body: game } = await getGame(room, guest);
+        assert.deepEqual(game.chat.map(({ name, text }) => [name, text]), [['Ana', 'good luck!']]);
+
+        const long = await chat(room, guest, 'x'.repeat(engine.MAX_CHAT_LENGTH + 1));
+        assert.equal(long.status, 400);
+        assert.equal(long.body.error.field, 'text');
+      });
+
+      it('closes during the round and takes reactions once it is over', async () => {
+        const room = await createRoom();
+        const [, guest] = room.players;
+        await startRoom(room);
+        const [word] = room.words;
+        await submit(room, room.host, word);
+
+        const closed = await chat(room, guest, room.words[1]);
+        assert.equal(closed.status, 400);
+        assert.equal(closed.body.error.code, 'CHAT_CLOSED');
+        assert.equal((await react(room, guest, room.host, word)).body.error.code, 'CHAT_CLOSED');
+
+        await waitForStatus(room, 'finished');
+        assert.equal((await chat(room, guest, 'gg')).status, 200);
+
+        const own = await react(room, room.host, room.host, word);
+        assert.equal(own.body.error.code, 'OWN_WORD');
+        const missing = await react(room, guest, room.host, 'NOTAWORD');
+        assert.equal(missing.body.error.code, 'WORD_NOT_FOUND');
+
+        const reacted = await react(room, guest, room.host, word.toLowerCase());
+        assert.equal(reacted.status, 200);
+        assert.deepEqual(reacted.body.reactions, [{ round: 1, playerId: room.host.playerId, word, emoji: '👍', by: [guest.playerId] }]);
+
+        // The same reaction again takes it back
+        const undone = await react(room, guest, room.host, word);
+        assert.deepEqual(undone.body.reactions, []);
+      });
+    });
+
+    describe('daily puzzle', () => {
+      async function joinDaily(playerName, profileToken) {
+        const { body: daily } = await api.request('GET', '/api/daily');
+        return api.request('POST', `/api/games/${daily.gameCode}/join`, { body: { playerName, profileToken } });
+      }
+
+      it('gives each player an attempt of their own', async () => {
+        const first = await joinDaily('Daily One');
+        const second = await joinDaily('Daily Two');
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 200);
+
+        assert.notEqual(first.body.game.gameCode, second.body.game.gameCode);
+        assert.deepEqual(Object.keys(second.body.game.players), [second.body.playerId]);
+        assert.equal(second.body.game.letters, first.body.game.letters);
+      });
+
+      it('gives each name one attempt a day', async () => {
+        assert.equal((await joinDaily('Daily Three')).status, 200);
+
+        const again = await joinDaily('daily three');
+        assert.equal(again.status, 409);
+        assert.equal(again.body.error.code, 'DAILY_NAME_TAKEN');
+      });
+
+      it('gives each profile one attempt a day, whatever the name', async () => {
+        const { body: { profileToken } } = await api.request('POST', '/api/profiles', { body: { name: 'Daily Four' } });
+        assert.equal((await joinDaily('Daily Four', profileToken)).status, 200);
+
+        const renamed = await joinDaily('Daily Five', profileToken);
+        assert.equal(renamed.status, 409);
+        assert.equal(renamed.body.error.code, 'DAILY_ALREADY_PLAYED');
+      });
+
+      it('shows a player their own standing next to the leaderboard', async () => {
+        const joined = await joinDaily('Daily Six');
+        const attempt = joined.body.game.gameCode;
+
+        const daily = await api.request('GET', `/api/daily?attempt=${attempt}`, { token: joined.body.sessionToken });
+        assert.equal(daily.status, 200);
+        assert.deepEqual(daily.body.you, { name: 'Daily Six', score: 0, wordCount: 0 });
+        assert.ok(Array.isArray(daily.body.leaderboard));
+
+        const stranger = await api.request('GET', `/api/daily?attempt=${attempt}`, { token: 'f'.repeat(48) });
+        assert.equal(stranger.status, 401);
+      });
+    });
+
+    describe('reading back writes', () => {
+      it('finds a profile straight after making it', async () => {
+        const created = await api.request('POST', '/api/profiles', { body: { name: 'Ana' } });
+        assert.equal(created.status, 200);
+
+        const profile = await api.request('GET', '/api/profile', { token: created.body.profileToken });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.name, 'Ana');
+      });
+
+      it('deals the daily puzzle to its first caller', async () => {
+        const response = await api.request('GET', '/api/daily');
+        assert.equal(response.status, 200);
+        assert.match(response.body.letters, /^[A-Z]+$/);
+      });
+    });
+
+    describe('errors', () => {
+      it('answers unknown routes with a JSON 404', async () => {
+        const response = await api.request('GET', '/api/nothing-here');
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error.code, 'NOT_FOUND');
+      });
+
+      it('rejects path params that are not valid percent-encoding', async () => {
+        const response = await api.request('GET', '/api/games/%E0%A4%A');
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'INVALID_INPUT');
+      });
+
+      it('rejects a body that is not JSON', async () => {
+        const response = await api.request('POST', '/api/games', { rawBody: '{"playerName":' });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.code, 'INVALID_INPUT');
+      });
+
+      it('rejects a body on routes that take none', async () => {
+        const room = await createRoom(['Ana']);
+        const response = await api.request('POST', `/api/games/${room.code}/start`, {
+          body: { force: true },
+          token: room.host.sessionToken
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error.field, 'force');
+      });
+    });
+
+    describe('concurrency', () => {
+      it('counts every word when players submit at the same time', async () => {
+        const room = await createRoom(['Ana', 'Bo', 'Cy']);
+        await startRoom(room);
+        const words = room.words.slice(0, 4);
+
+        const responses = await Promise.all(room.players.flatMap(player => words.map(word => submit(room, player, word))));
+        responses.forEach(response => assert.equal(response.status, 200));
+
+        const expected = words.reduce((sum, word) => sum + engine.calculatePoints(word), 0);
+        const { body: game } = await getGame(room);
+        room.players.forEach(player => {
+          assert.equal(game.players[player.playerId].score, expected);
+        });
+        assert.deepEqual(game.players[room.host.playerId].words.map(({ word }) => word).sort(), [...words].sort());
+      });
+
+      it('gives every simultaneous joiner a seat', async () => {
+        const room = await createRoom(['Ana']);
+        const names = ['Bo', 'Cy', 'Di', 'Ed', 'Flo'];
+
+        const responses = await Promise.all(names.map(playerName => {
+          return api.request('POST', `/api/games/${room.code}/join`, { body: { playerName } });
+        }));
+        responses.forEach(response => assert.equal(response.status, 200));
+
+        const { body: game } = await getGame(room);
+        assert.deepEqual(Object.values(game.players).map(player => player.name).sort(), ['Ana', ...names].sort());
+      });
+    });
+  });
+}
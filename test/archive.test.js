@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const archive = require('../lib/archive');
+
+// An archived one-round game with a word found and one taken back
+function testRecord(name = 'Ana', finishedAt = 1000) {
+  return {
+    gameCode: 'ABC234',
+    createdAt: 0,
+    finishedAt,
+    settings: {},
+    players: { player_1_a: { name, totalScore: 400, team: null } },
+    roundHistory: [{ round: 1, startTime: 100 }],
+    log: [
+      { at: 500, round: 1, playerId: 'player_1_a', type: 'submit', word: 'LOOT', points: 400 },
+      { at: 900, round: 1, playerId: 'player_1_a', type: 'remove', word: 'LOOT', points: -400 }
+    ]
+  };
+}
+
+describe('logToCsv', () => {
+  it('writes one row per event', () => {
+    const [header, first, second] = archive.logToCsv(testRecord()).trim().split('\n');
+    assert.equal(header, 'at,elapsedMs,round,player,type,word,points');
+    assert.equal(first, '1970-01-01T00:00:00.500Z,400,1,Ana,submit,LOOT,400');
+    assert.equal(second, '1970-01-01T00:00:00.900Z,800,1,Ana,remove,LOOT,-400');
+  });
+
+  it('keeps names a spreadsheet would run as formulas as text', () => {
+    const rows = archive.logToCsv(testRecord('=HYPERLINK("http://x","y")')).trim().split('\n');
+    assert.equal(rows[1].split(',').slice(3)[0], '"\'=HYPERLINK(""http://x""');
+    assert.match(archive.logToCsv(testRecord('@SUM(A1)')), /,'@SUM\(A1\),/);
+  });
+});
+
+describe('addToIndex', () => {
+  it('keeps the newest games first and replaces a game added again', () => {
+    const index = archive.createIndex();
+    archive.addToIndex(index, archive.toSummary({ ...testRecord(), gameCode: 'OLDER2', finishedAt: 1 }));
+    archive.addToIndex(index, archive.toSummary(testRecord('Ana', 5)));
+    archive.addToIndex(index, archive.toSummary(testRecord('Ana', 9)));
+
+    assert.deepEqual(index.games.map(({ gameCode, finishedAt }) => [gameCode, finishedAt]), [['ABC234', 9], ['OLDER2', 1]]);
+  });
+
+  it('searches summaries by name or code', () => {
+    const summary = archive.toSummary(testRecord('Bo'));
+    assert.equal(archive.matchesSearch(summary, 'bo'), true);
+    assert.equal(archive.matchesSearch(summary, 'abc'), true);
+    assert.equal(archive.matchesSearch(summary, 'cy'), false);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ROOT, backends } = require('./support/backends');
+
+// The command-line client against the Express backend. It runs as its own
+// process, so this one stays free to serve it.
+
+const CLI = path.join(ROOT, 'bin', 'anagrams.js');
+const express = backends.find(backend => backend.name === 'Express');
+
+describe('anagrams CLI', () => {
+  let server;
+
+  before(async () => {
+    server = await express.start();
+  });
+
+  after(() => server.close());
+
+  // Run the CLI with stdin as given. Resolves to its exit code, output and,
+  // with --json, the events it printed.
+  function run(args, input = '') {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [CLI, ...args, '--server', server.baseUrl]);
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => {
+        const events = args.includes('--json') ? stdout.trim().split('\n').filter(Boolean).map(line => JSON.parse(line)) : [];
+        resolve({ code, stdout, stderr, events });
+      });
+      child.stdin.end(input);
+    });
+  }
+
+  it('creates, joins, plays words and prints the leaderboard as JSON', async () => {
+    const created = await run(['create', '--name', 'Ana', '--rounds', '1', '--json']);
+    assert.equal(created.code, 0);
+    const [{ event, gameCode, sessionToken: hostToken }] = created.events;
+    assert.equal(event, 'created');
+
+    const joined = await run(['join', gameCode.toLowerCase(), '--name', 'Bo', '--json']);
+    assert.equal(joined.code, 0);
+    assert.equal(joined.events[0].event, 'joined');
+    assert.equal(joined.events[0].gameCode, gameCode);
+
+    const started = await run(['start', gameCode, '--token', hostToken, '--json']);
+    assert.equal(started.events[0].event, 'started');
+    assert.equal(started.events[0].round, 1);
+
+    // Too short to count whatever the rack
+    const words = await run(['words', gameCode, '--token', hostToken, '--json'], 'ab\n');
+    assert.deepEqual(words.events.map(({ event, word, valid }) => ({ event, word, valid })), [{ event: 'word', word: 'ab', valid: false }]);
+    assert.equal(words.events[0].error.code, 'WORD_TOO_SHORT');
+
+    const leaderboard = await run(['leaderboard', gameCode, '--token', hostToken, '--wait', '--json']);
+    const [board] = leaderboard.events;
+    assert.equal(board.status, 'finished');
+    assert.deepEqual(board.players.map(({ name }) => name).sort(), ['Ana', 'Bo']);
+  });
+
+  it('refuses settings that are not numbers before creating anything', async () => {
+    const result = await run(['create', '--name', 'Ana', '--rounds', 'abc']);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /--rounds must be a whole number/);
+    assert.equal(result.stdout, '');
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../lib/engine');
+const { DICTIONARIES, buildDictionary } = require('../lib/dictionaries');
+
+// A registry over a handful of words, so rules can be checked against known
+// racks without loading a real list
+function testDictionaries(words = ['TOOL', 'LOOT', 'LOTS', 'SLOT', 'TOO', 'LOT', 'SOL', 'STOOL', 'TOOLS']) {
+  const dictionary = buildDictionary('classic', DICTIONARIES.classic, words);
+  return { get: () => dictionary };
+}
+
+// A waiting game on a fixed rack with the given players; the first is host
+function testGame(dictionaries, names = ['Ana', 'Bo'], settings = {}) {
+  const game = engine.createGame(dictionaries, settings);
+  game.letters = 'STOOL';
+  const players = names.map(name => engine.joinGame(game, name).playerId);
+  return { game, players };
+}
+
+// Run the clock past the end of the round
+function expire(game) {
+  game.startTime -= game.settings.duration * 1000 + engine.ROUND_GRACE_MS + 1;
+}
+
+describe('calculatePoints', () => {
+  it('scores the classic preset by word length', () => {
+    const points = [3, 4, 5, 6, 7, 8, 9, 10].map(length => engine.calculatePoints('X'.repeat(length)));
+    assert.deepEqual(points, [100, 400, 800, 1400, 1800, 2300, 2800, 3300]);
+  });
+
+  it('scores the other presets', () => {
+    assert.equal(engine.calculatePoints('WORD', 'linear'), 400);
+    assert.equal(engine.calculatePoints('WORDS', 'linear'), 500);
+    assert.equal(engine.calculatePoints('WORD', 'long-words'), 800);
+    assert.equal(engine.calculatePoints('WORDS', 'long-words'), 1250);
+  });
+});
+
+describe('getRackQuality', () => {
+  function withEnv(env, fn) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      return fn();
+    } finally {
+      Object.keys(env).forEach(key => {
+        if (saved[key] === undefined) delete process.env[key];
+        else process.env[key] = saved[key];
+      });
+    }
+  }
+
+  it('reads the minimums from the environment', () => {
+    const quality = withEnv({ RACK_MIN_WORDS: '3', RACK_MIN_POINTS: '0' }, engine.getRackQuality);
+    assert.deepEqual(quality, { minWords: 3, minPoints: 0 });
+  });
+
+  it('falls back to the defaults for values that are not numbers', () => {
+    withEnv({ RACK_MIN_WORDS: 'lots', RACK_MIN_POINTS: '-1' }, () => {
+      assert.deepEqual(engine.getRackQuality(), { minWords: 5, minPoints: 0 });
+      assert.match(engine.createGame(testDictionaries()).letters, /^[A-Z]+$/);
+    });
+  });
+});
+
+describe('canFormWord', () => {
+  it('accepts words that use each rack letter at most once', () => {
+    assert.equal(engine.canFormWord('LOOT', 'TOOLS'), true);
+    assert.equal(engine.canFormWord('STOOL', 'LOOTS'), true);
+    assert.equal(engine.canFormWord('SOL', 'TOOLS'), true);
+  });
+
+  it('rejects words that need a letter more often than the rack has it', () => {
+    assert.equal(engine.canFormWord('LOOT', 'TOLE'), false);
+    assert.equal(engine.canFormWord('TOOLS', 'TOOL'), false);
+    assert.equal(engine.canFormWord('SLOTS', 'STOOL'), false);
+  });
+
+  it('rejects letters the rack does not have', () => {
+    assert.equal(engine.canFormWord('TOOK', 'TOOLS'), false);
+  });
+});
+
+describe('solveRack', () => {
+  it('finds every word the rack makes, longest first', () => {
+    const words = engine.solveRack('STOOL', testDictionaries().get()).map(({ word }) => word);
+    assert.deepEqual(words, ['STOOL', 'TOOLS', 'LOOT', 'LOTS', 'SLOT', 'TOOL', 'LOT', 'SOL', 'TOO']);
+  });
+
+  it('leaves out words below the minimum length', () => {
+    const words = engine.solveRack('STOOL', testDictionaries().get(), { minWordLength: 5 }).map(({ word }) => word);
+    assert.deepEqual(words, ['STOOL', 'TOOLS']);
+  });
+});
+
+describe('status transitions', () => {
+  it('runs a match from waiting through each round to finished', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host, guest] } = testGame(dictionaries, ['Ana', 'Bo'], { rounds: 2 });
+    assert.equal(game.status, 'waiting');
+    assert.equal(game.hostId, host);
+
+    assert.throws(() => engine.startGame(game, dictionaries, guest), { code: 'NOT_HOST' });
+    engine.startGame(game, dictionaries, host);
+    assert.equal(game.status, 'active');
+    assert.equal(game.round, 1);
+
+    engine.submitWord(game, dictionaries, guest, 'loot');
+    assert.equal(engine.endRoundIfExpired(game, dictionaries), false);
+    expire(game);
+    assert.equal(engine.endRoundIfExpired(game, dictionaries), true);
+    assert.equal(game.status, 'intermission');
+    assert.equal(game.players[guest].totalScore, 400);
+
+    assert.throws(() => engine.startGame(game, dictionaries, host), { code: 'GAME_ALREADY_STARTED' });
+    engine.nextRound(game, dictionaries, host);
+    assert.equal(game.status, 'active');
+    assert.equal(game.round, 2);
+    assert.deepEqual(game.players[guest].words, []);
+    assert.equal(game.players[guest].score, 0);
+
+    expire(game);
+    engine.endRoundIfExpired(game, dictionaries);
+    assert.equal(game.status, 'finished');
+    assert.equal(game.roundHistory.length, 2);
+    assert.throws(() => engine.nextRound(game, dictionaries, host), { code: 'NO_ROUND_TO_START' });
+  });
+
+  it('only takes joins while waiting', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host] } = testGame(dictionaries);
+    engine.startGame(game, dictionaries, host);
+
+    assert.throws(() => engine.joinGame(game, 'Late'), { code: 'GAME_ALREADY_STARTED' });
+  });
+
+  it('refuses words once the clock has run out', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host] } = testGame(dictionaries);
+    engine.startGame(game, dictionaries, host);
+    expire(game);
+
+    assert.throws(() => engine.submitWord(game, dictionaries, host, 'LOOT'), { code: 'TIME_UP' });
+  });
+});
+
+describe('submitWord', () => {
+  it('checks length, letters, dictionary and duplicates in that order', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host] } = testGame(dictionaries);
+    engine.startGame(game, dictionaries, host);
+
+    assert.throws(() => engine.submitWord(game, dictionaries, host, 'LO'), { code: 'WORD_TOO_SHORT' });
+    assert.throws(() => engine.submitWord(game, dictionaries, host, 'TOOK'), { code: 'LETTERS_UNAVAILABLE' });
+    assert.throws(() => engine.submitWord(game, dictionaries, host, 'OOLS'), { code: 'WORD_NOT_IN_DICTIONARY' });
+
+    assert.deepEqual(engine.submitWord(game, dictionaries, host, 'stool'), { valid: true, points: 800, word: 'STOOL' });
+    assert.throws(() => engine.submitWord(game, dictionaries, host, 'STOOL'), { code: 'WORD_ALREADY_SUBMITTED' });
+  });
+
+  it('counts a word once per team', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host, teammate, opponent] } = testGame(dictionaries, ['Ana', 'Bo', 'Cy'], { teams: 2 });
+    game.players[host].team = 1;
+    game.players[teammate].team = 1;
+    game.players[opponent].team = 2;
+    engine.startGame(game, dictionaries, host);
+
+    engine.submitWord(game, dictionaries, host, 'LOOT');
+    assert.throws(() => engine.submitWord(game, dictionaries, teammate, 'LOOT'), { code: 'WORD_FOUND_BY_TEAM' });
+    assert.equal(engine.submitWord(game, dictionaries, opponent, 'LOOT').valid, true);
+  });
+});
+
+describe('shared words', () => {
+  it('cuts words more than one player found when the round ends', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host, guest] } = testGame(dictionaries, ['Ana', 'Bo'], { rounds: 1, sharedWords: 'zero' });
+    engine.startGame(game, dictionaries, host);
+
+    engine.submitWord(game, dictionaries, host, 'LOOT');
+    engine.submitWord(game, dictionaries, host, 'STOOL');
+    engine.submitWord(game, dictionaries, guest, 'LOOT');
+    expire(game);
+    engine.endRoundIfExpired(game, dictionaries);
+
+    const { scores } = game.roundHistory[0];
+    assert.equal(scores[host].score, 800);
+    assert.equal(scores[host].adjustment, -400);
+    assert.equal(scores[guest].score, 0);
+    assert.deepEqual(scores[host].words.map(({ word, shared }) => [word, Boolean(shared)]), [['LOOT', true], ['STOOL', false]]);
+  });
+});
+
+describe('daily puzzle', () => {
+  function startAttempt(puzzle, name) {
+    const attempt = engine.createDailyAttempt(puzzle, engine.dailyAttemptCode(puzzle.date, name));
+    const { playerId } = engine.joinGame(attempt, name);
+    return { attempt, playerId };
+  }
+
+  it('ranks only attempts that are over', () => {
+    const dictionaries = testDictionaries();
+    const puzzle = engine.createDailyGame(dictionaries, '2024-01-01');
+    puzzle.letters = 'STOOL';
+    const done = startAttempt(puzzle, 'Ana');
+    const playing = startAttempt(puzzle, 'Bo');
+
+    engine.submitWord(done.attempt, dictionaries, done.playerId, 'LOOT');
+    engine.recordDailyAttempt(puzzle, done.attempt);
+    engine.recordDailyAttempt(puzzle, playing.attempt);
+    assert.deepEqual(engine.dailyLeaderboard(puzzle), []);
+
+    const later = engine.roundCloseTime(puzzle, Date.now()) + 1;
+    assert.deepEqual(engine.dueDailyAttempts(puzzle, later).sort(), [done.attempt.gameCode, playing.attempt.gameCode].sort());
+    engine.recordDailyAttempt(puzzle, done.attempt, later);
+    assert.deepEqual(engine.dailyLeaderboard(puzzle), [{ name: 'Ana', score: 400, wordCount: 1 }]);
+  });
+
+  it('takes one player per attempt', () => {
+    const puzzle = engine.createDailyGame(testDictionaries(), '2024-01-01');
+    const { attempt } = startAttempt(puzzle, 'Ana');
+
+    assert.throws(() => engine.joinGame(attempt, 'Bo'), { code: 'GAME_ALREADY_STARTED' });
+  });
+});
+
+describe('addBot', () => {
+  it('skips a bot name a player already has in any case', () => {
+    const { game, players: [host] } = testGame(testDictionaries(), ['Ana', 'easy bot']);
+    const botId = engine.addBot(game, host, 'easy');
+
+    assert.equal(game.players[botId].name, 'Easy Bot 2');
+  });
+});
+
+describe('chat', () => {
+  it('keeps only the latest messages', () => {
+    const { game, players: [host] } = testGame(testDictionaries());
+    for (let n = 1; n <= 60; n++) engine.sendChat(game, host, `message ${n}`);
+
+    assert.equal(game.chat.length, 50);
+    assert.equal(game.chat[0].text, 'message 11');
+  });
+
+  it('is closed while a round is on', () => {
+    const dictionaries = testDictionaries();
+    const { game, players: [host] } = testGame(dictionaries);
+    engine.startGame(game, dictionaries, host);
+
+    assert.throws(() => engine.sendChat(game, host, 'LOOT'), { code: 'CHAT_CLOSED' });
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createSharedRateLimiter } = require('../lib/limits');
+const { createMemoryStorage } = require('../lib/storage');
+
+const limits = {
+  create: { max: 2, windowMs: 1000 },
+  words: { max: 2, windowMs: 1000 }
+};
+
+describe('createRateLimiter', () => {
+  it('turns a key away once it uses up its window, until the window ends', () => {
+    const limiter = createRateLimiter(limits);
+
+    assert.equal(limiter.hit('create', 'a', 0), 0);
+    assert.equal(limiter.hit('create', 'a', 100), 0);
+    assert.equal(limiter.hit('create', 'a', 200), 800);
+    assert.equal(limiter.hit('create', 'b', 200), 0);
+    assert.equal(limiter.check('create', 'a', 1000), 0);
+  });
+});
+
+describe('createSharedRateLimiter', () => {
+  it('counts shared limits across instances', async () => {
+    const storage = createMemoryStorage();
+    const first = createSharedRateLimiter(storage, ['create'], createRateLimiter(limits), limits);
+    const second = createSharedRateLimiter(storage, ['create'], createRateLimiter(limits), limits);
+
+    assert.equal(await first.hit('create', 'a', 0), 0);
+    assert.equal(await second.hit('create', 'a', 100), 0);
+    assert.equal(await first.check('create', 'a', 200), 800);
+    assert.equal(await second.hit('create', 'a', 200), 800);
+
+    // A new window starts over
+    assert.equal(await second.hit('create', 'a', 1000), 0);
+  });
+
+  it('keeps a bounded number of records and drops windows that have run out', async () => {
+    const storage = createMemoryStorage();
+    const limiter = createSharedRateLimiter(storage, ['create'], createRateLimiter(limits), limits);
+
+    for (let n = 0; n < 100; n++) await limiter.hit('create', `address ${n}`, 0);
+    const keys = await storage.list();
+    assert.ok(keys.length <= 16);
+
+    // Each shard forgets the old addresses the next time it is written
+    for (let n = 0; n < 100; n++) await limiter.hit('create', `later ${n}`, 1000);
+    const windows = await Promise.all(keys.map(async key => Object.keys((await storage.get(key)).windows).length));
+    assert.equal(windows.reduce((total, count) => total + count, 0), 100);
+  });
+
+  it('keeps the other limits in each instance', async () => {
+    const storage = createMemoryStorage();
+    const first = createSharedRateLimiter(storage, ['create'], createRateLimiter(limits), limits);
+    const second = createSharedRateLimiter(storage, ['create'], createRateLimiter(limits), limits);
+
+    await first.hit('words', 'a', 0);
+    await first.hit('words', 'a', 0);
+    assert.equal(await first.hit('words', 'a', 0), 1000);
+    assert.equal(await second.hit('words', 'a', 0), 0);
+    assert.deepEqual(await storage.list(), []);
+  });
+});
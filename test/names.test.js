@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isNameAllowed } = require('../lib/names');
+
+describe('isNameAllowed', () => {
+  const blocked = ['shit', 'fuck'];
+
+  it('refuses blocked words, however they are spelled out', () => {
+    ['Shit', 'big shit', '5h1t', 'f.u.c.k', 'Fuck123', 'SHÍT'].forEach(name => {
+      assert.equal(isNameAllowed(name, blocked), false, name);
+    });
+  });
+
+  it('allows names that only contain a blocked word inside another', () => {
+    ['Shitake', 'Ana', 'Bo 2'].forEach(name => {
+      assert.equal(isNameAllowed(name, blocked), true, name);
+    });
+  });
+
+  it('allows everything with an empty list', () => {
+    assert.equal(isNameAllowed('Shit', []), true);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createApi, matchRoute, parseBearerToken } = require('../lib/api');
+const { createMemoryStorage } = require('../lib/storage');
+const { createEventBus } = require('../lib/events');
+const { DICTIONARIES, buildDictionary } = require('../lib/dictionaries');
+
+// The route table both backends share
+const { routes } = createApi({ storage: createMemoryStorage(), dictionaries: null });
+
+function match(method, pathname) {
+  const matched = matchRoute(routes, method, pathname);
+  return matched && { path: matched.route.path, params: matched.params };
+}
+
+describe('matchRoute', () => {
+  it('matches fixed paths', () => {
+    assert.deepEqual(match('POST', '/games'), { path: '/games', params: {} });
+    assert.deepEqual(match('GET', '/daily'), { path: '/daily', params: {} });
+  });
+
+  it('pulls out path params', () => {
+    assert.deepEqual(match('GET', '/games/ABC234'), { path: '/games/:code', params: { code: 'ABC234' } });
+    assert.deepEqual(match('POST', '/games/ABC234/words'), { path: '/games/:code/words', params: { code: 'ABC234' } });
+    assert.deepEqual(match('GET', '/archive/ABC234/export'), { path: '/archive/:code/export', params: { code: 'ABC234' } });
+  });
+
+  it('decodes params', () => {
+    assert.deepEqual(match('GET', '/games/DAILY%2D2024-01-01').params, { code: 'DAILY-2024-01-01' });
+  });
+
+  it('tells routes on the same path apart by method', () => {
+    assert.equal(match('POST', '/games/ABC234/words').path, '/games/:code/words');
+    assert.equal(match('DELETE', '/games/ABC234/words').path, '/games/:code/words');
+    assert.equal(match('PATCH', '/games/ABC234/words'), null);
+    assert.equal(match('GET', '/games/ABC234/spectate').path, '/games/:code/spectate');
+  });
+
+  it('passes params that do not decode through as sent', () => {
+    assert.deepEqual(match('GET', '/games/%E0%A4%A').params, { code: '%E0%A4%A' });
+  });
+
+  it('ignores empty path segments', () => {
+    assert.equal(match('GET', '/games/ABC234/').path, '/games/:code');
+    assert.equal(match('GET', '//games//ABC234').path, '/games/:code');
+  });
+
+  it('needs every segment to match', () => {
+    assert.equal(match('GET', '/games/ABC234/unknown'), null);
+    assert.equal(match('POST', '/games/ABC234/words/extra'), null);
+    assert.equal(match('GET', '/'), null);
+  });
+});
+
+describe('parseBearerToken', () => {
+  it('reads the token from a Bearer header', () => {
+    assert.equal(parseBearerToken('Bearer abc123'), 'abc123');
+    assert.equal(parseBearerToken('bearer   abc123'), 'abc123');
+  });
+
+  it('returns null for anything else', () => {
+    assert.equal(parseBearerToken(undefined), null);
+    assert.equal(parseBearerToken('Basic abc123'), null);
+    assert.equal(parseBearerToken('Bearer'), null);
+    assert.equal(parseBearerToken('Bearer two tokens'), null);
+  });
+});
+
+// Games saved by earlier versions, before rounds, sessions and settings were
+// kept: one round, finished, with no host or history
+describe('old game records', () => {
+  const oldGame = require(path.join(__dirname, '..', 'games', '3UFC9V.json'));
+
+  async function setup() {
+    const storage = createMemoryStorage();
+    const archiveStorage = createMemoryStorage();
+    const api = createApi({ storage, archiveStorage, profileStorage: createMemoryStorage(), dictionaries: null });
+    await storage.create(oldGame.gameCode, oldGame);
+    return { storage, archiveStorage, api };
+  }
+
+  it('are marked archived without an archive record', async () => {
+    const { storage, archiveStorage, api } = await setup();
+
+    assert.equal(await api.archiveGame(oldGame.gameCode, oldGame), true);
+    assert.deepEqual(await archiveStorage.list(), []);
+    assert.equal((await storage.get(oldGame.gameCode)).archived, true);
+  });
+
+  it('turn session tokens away', async () => {
+    const { api } = await setup();
+    const route = api.routes.find(({ method, path: routePath }) => method === 'GET' && routePath === '/games/:code');
+
+    const response = await api.handle(route, { code: oldGame.gameCode }, {}, 'a'.repeat(48));
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, 'INVALID_SESSION');
+  });
+});
+
+describe('subscribe', () => {
+  // An API over memory storage with an event bus and a small word list, and
+  // a call(method, path, body, token) that goes through the route table like
+  // the adapters do
+  function setup() {
+    const dictionary = buildDictionary('classic', DICTIONARIES.classic, ['TOOL', 'LOOT', 'STOOL']);
+    const dictionaries = { get: () => dictionary };
+    const api = createApi({ storage: createMemoryStorage(), dictionaries, events: createEventBus() });
+    const call = (method, pathname, body, token) => {
+      const { route, params } = matchRoute(api.routes, method, pathname);
+      return api.handle(route, params, body, token);
+    };
+    return { api, call };
+  }
+
+  it('ends a player\'s stream when the host removes them', async () => {
+    const { api, call } = setup();
+    const { body: host } = await call('POST', '/games', { playerName: 'Ana' });
+    const { body: guest } = await call('POST', `/games/${host.gameCode}/join`, { playerName: 'Bo' });
+
+    const received = [];
+    const unsubscribe = await api.subscribe(host.gameCode, guest.sessionToken, ({ type }) => received.push(type));
+    await call('POST', `/games/${host.gameCode}/kick`, { playerId: guest.playerId }, host.sessionToken);
+    await call('PUT', `/games/${host.gameCode}/lock`, { locked: true }, host.sessionToken);
+    unsubscribe();
+
+    assert.deepEqual(received, ['state', 'removed']);
+  });
+});
@@ -0,0 +1,92 @@
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+// Both backends, run inside the test process so one scenario suite can drive
+// either: the Express app on a free port, and the Netlify function called
+// directly with a Request, its Blobs stores swapped for in-memory ones.
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Two-second rounds so games finish quickly, games kept in memory, and rate
+// limits high enough that the scenarios never hit them
+process.env.GAME_STORAGE = 'memory';
+process.env.ROUND_DURATION = '2';
+process.env.RATE_LIMIT_CREATE_PER_MINUTE = '10000';
+process.env.RATE_LIMIT_JOIN_PER_MINUTE = '10000';
+process.env.RATE_LIMIT_WORDS_PER_SECOND = '10000';
+process.env.RATE_LIMIT_MISSES_PER_MINUTE = '10000';
+process.env.RATE_LIMIT_CHAT_PER_MINUTE = '10000';
+process.env.RATE_LIMIT_SEARCH_PER_MINUTE = '10000';
+
+register(pathToFileURL(path.join(__dirname, 'blobs-hooks.mjs')));
+
+// request(method, path, { body, token, rawBody }) sends body as JSON, or
+// rawBody as-is, with the token as a Bearer header
+function buildRequest(baseUrl, method, urlPath, { body, token, rawBody } = {}) {
+  const headers = {};
+  if (body !== undefined || rawBody !== undefined) headers['Content-Type'] = 'application/json';
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+
+  return new Request(baseUrl + urlPath, {
+    method,
+    headers,
+    body: rawBody !== undefined ? rawBody : body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+// { status, headers, body }, with JSON bodies parsed
+async function readResponse(response) {
+  const type = response.headers.get('content-type') || '';
+  const body = type.includes('application/json') ? await response.json() : await response.text();
+  return { status: response.status, headers: response.headers, body };
+}
+
+// The Express backend also gives its baseUrl, for clients that make their
+// own requests
+async function startExpress() {
+  const app = require(path.join(ROOT, 'server.js'));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+
+    async request(method, urlPath, options) {
+      return readResponse(await fetch(buildRequest(baseUrl, method, urlPath, options)));
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+async function startNetlify() {
+  const { default: handler } = await import(pathToFileURL(path.join(ROOT, 'netlify/functions/api.js')).href);
+  const { resetStores } = await import(pathToFileURL(path.join(__dirname, 'netlify-blobs.mjs')).href);
+
+  return {
+    async request(method, urlPath, options) {
+      const request = buildRequest('http://localhost', method, urlPath, options);
+      return readResponse(await handler(request, { ip: '127.0.0.1' }));
+    },
+
+    async close() {
+      resetStores();
+    }
+  };
+}
+
+const backends = [
+  { name: 'Express', start: startExpress },
+  { name: 'Netlify', start: startNetlify }
+];
+
+module.exports = {
+  ROOT,
+  backends
+};
@@ -0,0 +1,10 @@
+// Module resolution hook that swaps @netlify/blobs for the in-memory
+// stand-in, so the Netlify function can run inside the test process
+const STAND_IN = new URL('./netlify-blobs.mjs', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === '@netlify/blobs') {
+    return { url: STAND_IN, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
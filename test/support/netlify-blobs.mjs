@@ -0,0 +1,71 @@
+// In-memory stand-in for @netlify/blobs, loaded in its place by
+// ./blobs-hooks.mjs. It covers the parts of the store API lib/storage.js
+// uses, including the etag conditions its compare-and-swap updates rely on.
+// Stores live as long as the process, like real ones outlive a request.
+//
+// Reads are eventually consistent unless they ask for strong consistency, as
+// with the real client. Here an eventual read always lags one write behind,
+// so code that needs to see its own writes fails the tests.
+
+const stores = new Map();
+
+export function getStore(name) {
+  if (!stores.has(name)) stores.set(name, createStore());
+  return stores.get(name);
+}
+
+// Empty every store, between tests
+export function resetStores() {
+  stores.clear();
+}
+
+function createStore() {
+  const blobs = new Map();
+  let version = 0;
+
+  // The blob as a read with this consistency sees it
+  function visible(key, consistency) {
+    const blob = blobs.get(key);
+    if (!blob || consistency === 'strong') return blob || null;
+    return blob.previous;
+  }
+
+  function parse(blob, type) {
+    return type === 'json' ? JSON.parse(blob.data) : blob.data;
+  }
+
+  return {
+    async get(key, { type, consistency } = {}) {
+      const blob = visible(key, consistency);
+      return blob ? parse(blob, type) : null;
+    },
+
+    async getWithMetadata(key, { type, consistency } = {}) {
+      const blob = visible(key, consistency);
+      if (!blob) return null;
+      return { data: parse(blob, type), etag: blob.etag, metadata: {} };
+    },
+
+    async setJSON(key, value, { onlyIfNew = false, onlyIfMatch } = {}) {
+      const current = blobs.get(key);
+      if (onlyIfNew && current) return { modified: false };
+      if (onlyIfMatch && (!current || current.etag !== onlyIfMatch)) return { modified: false };
+
+      const etag = `"${++version}"`;
+      const previous = current ? { data: current.data, etag: current.etag } : null;
+      blobs.set(key, { data: JSON.stringify(value), etag, previous });
+      return { modified: true, etag };
+    },
+
+    async list() {
+      return {
+        blobs: [...blobs.entries()].map(([key, blob]) => ({ key, etag: blob.etag })),
+        directories: []
+      };
+    },
+
+    async delete(key) {
+      blobs.delete(key);
+    }
+  };
+}